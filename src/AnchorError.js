@@ -0,0 +1,24 @@
+// @flow
+
+// Reason a highlight could not be anchored:
+//
+//  - missing-element: the element or text node a range refers to no longer exists
+//  - offset-overflow: the offsets of a range fall outside of the text nodes it refers to
+//  - text-mismatch: a range resolves but not to the text it is expected to contain
+export type AnchorFailure = "missing-element" | "offset-overflow" | "text-mismatch";
+
+/**
+ * Error thrown when a range cannot be anchored to the document
+ *
+ * @param {AnchorFailure} reason - Reason the range could not be anchored
+ * @param {string} message - Error message
+ */
+export default class AnchorError extends Error {
+  reason: AnchorFailure;
+
+  constructor(reason: AnchorFailure, message: string) {
+    super(message);
+    this.name = "AnchorError";
+    this.reason = reason;
+  }
+}
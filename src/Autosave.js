@@ -0,0 +1,186 @@
+// @flow
+
+import EventEmitter from "events";
+
+import type { IHighlightStorage } from "./interfaces";
+import type { RestoreResult } from "./DonHighlights";
+import DonHighlights from "./DonHighlights";
+import XPathResolver from "./XPathResolver";
+
+export type AutosaveOptions = {|
+  key?: string,
+  delay?: number,
+|};
+
+const DEFAULT_DELAY = 500;
+
+/**
+ * Compute the storage key of a container element
+ *
+ * The key is made up of the URL of the container's document, excluding the fragment identifier,
+ * and the XPath representation of the container within its document.
+ *
+ * @param {HTMLElement} container - Container element highlights are created in
+ * @returns {string} Storage key
+ */
+export function createStorageKey(container: HTMLElement): string {
+  const doc: Document = (container.ownerDocument: any) || (container: any);
+  const url = doc.URL.replace(/#.*$/, "");
+  const xpath = container === doc ? "" : new XPathResolver(doc).xpathOf(container);
+  return `${url}|${xpath}`;
+}
+
+// Events emitted by `DonHighlights` instances whenever the snapshot they serialize to changes.
+const EVENTS = ["highlight", "unhighlight", "rerender", "setstate", "setenabled", "remove"];
+
+/**
+ * Class responsible for automatically saving and restoring highlights
+ *
+ * Listens for changes to the highlights or groups of a `DonHighlights` instance -- highlights
+ * being created, removed or rendered anew, their state changing, groups being enabled, disabled
+ * or removed -- and saves a snapshot of the instance to a storage adapter after a quiet period of
+ * `delay` milliseconds.
+ *
+ * Saves are held while a snapshot is being loaded from storage to be restored, so the snapshot
+ * stored is not overwritten before its highlights are restored.  Saves held are dropped if the
+ * controller is disposed of meanwhile.
+ *
+ * Emits the following events:
+ *
+ *  - save: snapshot saved
+ *  - restore: snapshot restored; receives the outcome of restoring each highlight
+ */
+export default class Autosave extends EventEmitter {
+  instance: DonHighlights;
+  storage: IHighlightStorage;
+  key: string;
+  delay: number;
+  timerID: ?TimeoutID;
+  restoring: boolean;
+  loading: ?Promise<mixed>;
+  disposed: boolean;
+  listener: () => void;
+
+  /**
+   * Class constructor
+   *
+   * @param {DonHighlights} instance - Highlighter instance to save and restore
+   * @param {IHighlightStorage} storage - Storage adapter
+   * @param {AutosaveOptions} [options] - Storage key, which defaults to the key of the instance's
+   * container, and delay
+   */
+  constructor(instance: DonHighlights, storage: IHighlightStorage, options?: AutosaveOptions) {
+    super();
+
+    const { key, delay } = options || {};
+    this.instance = instance;
+    this.storage = storage;
+    this.key = key != null ? key : createStorageKey(instance.container);
+    this.delay = delay != null ? delay : DEFAULT_DELAY;
+    this.timerID = null;
+    this.restoring = false;
+    this.loading = null;
+    this.disposed = false;
+    this.listener = () => this.schedule();
+
+    EVENTS.forEach((name) => instance.on(name, this.listener));
+  }
+
+  dispose(): void {
+    this.cancel();
+    this.disposed = true;
+    EVENTS.forEach((name) => this.instance.removeListener(name, this.listener));
+    this.removeAllListeners();
+  }
+
+  /**
+   * Schedule a save after the quiet period, postponing any save already scheduled
+   *
+   * Saves are not scheduled while a snapshot is being restored.
+   */
+  schedule(): void {
+    if (this.restoring) return;
+
+    this.cancel();
+    this.timerID = setTimeout(() => {
+      this.timerID = null;
+      this.save().catch((x) => console.error("failed to save highlights:", x));
+    }, this.delay);
+  }
+
+  /**
+   * Cancel the scheduled save, if any
+   */
+  cancel(): void {
+    if (this.timerID != null) {
+      clearTimeout(this.timerID);
+      this.timerID = null;
+    }
+  }
+
+  /**
+   * Save immediately if a save is scheduled
+   *
+   * @returns {Promise<void>} Promise resolving once saved
+   */
+  flush(): Promise<void> {
+    if (this.timerID == null) return Promise.resolve();
+
+    this.cancel();
+    return this.save();
+  }
+
+  /**
+   * Save a snapshot of the instance
+   *
+   * The snapshot is taken once the snapshot being restored, if any, is loaded and restored.
+   *
+   * @returns {Promise<void>} Promise resolving once saved
+   */
+  save(): Promise<void> {
+    const { loading } = this;
+    if (loading != null) {
+      return loading.then(() => (this.disposed ? undefined : this.save()));
+    }
+
+    return this.storage.save(this.key, this.instance.serialize()).then(() => {
+      this.emit("save");
+    });
+  }
+
+  /**
+   * Restore the snapshot held in storage, if any
+   *
+   * Highlights restored do not cause a save to be scheduled, so highlights that fail to restore
+   * are not dropped from storage as a result of restoring.
+   *
+   * @returns {Promise<Array<RestoreResult>>} Promise resolving to the outcome of restoring each
+   * highlight
+   */
+  restore(): Promise<Array<RestoreResult>> {
+    const promise = this.storage.load(this.key).then((snapshot) => {
+      if (snapshot == null || this.disposed) return [];
+
+      let results;
+      this.restoring = true;
+      try {
+        results = this.instance.restore(snapshot);
+      } finally {
+        this.restoring = false;
+      }
+
+      this.emit("restore", results);
+      return results;
+    });
+
+    // Saves are held until the snapshot is restored, or fails to be.
+    const loading = promise
+      .catch(() => {})
+      .then(() => {
+        if (this.loading === loading) this.loading = null;
+      });
+    this.loading = loading;
+
+    return promise;
+  }
+}
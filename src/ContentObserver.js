@@ -0,0 +1,149 @@
+// @flow
+
+import EventEmitter from "events";
+
+import TextContent from "./TextContent";
+import { containsComposed } from "./dom";
+
+/**
+ * Class responsible for keeping a `TextContent` instance up to date with changes to the DOM
+ *
+ * Observes the content's root element by way of a `MutationObserver` and patches the content's
+ * text and markers in place for every text node inserted, removed or edited, as opposed to parsing
+ * the whole DOM sub-tree again.  Markers of text nodes that remain in the DOM are reused so that
+ * `TextRange` instances referring to them remain valid.
+ *
+ * Mutation records are delivered asynchronously by the browser.  `flush` must be invoked to apply
+ * pending records synchronously, e.g. before querying the content.
+ *
+ * Emits the following events:
+ *
+ *  - update: content patched
+ */
+export default class ContentObserver extends EventEmitter {
+  content: TextContent;
+  observer: MutationObserver;
+
+  /**
+   * Class constructor
+   *
+   * @param {TextContent} content - Reference to `TextContent` instance to keep up to date
+   */
+  constructor(content: TextContent) {
+    super();
+
+    this.content = content;
+    this.observer = new MutationObserver((records) => this.update(records));
+    this.observe();
+  }
+
+  /**
+   * Start observing the content's root element
+   *
+   * Observation starts upon construction.  Must be invoked again when the content's root element
+   * changes.
+   */
+  observe(): void {
+    this.observer.disconnect();
+    this.observer.observe(this.content.root, {
+      childList: true,
+      characterData: true,
+      subtree: true,
+    });
+  }
+
+  dispose(): void {
+    this.disconnect();
+    this.removeAllListeners();
+  }
+
+  /**
+   * Stop observing the content's root element
+   *
+   * Pending mutation records are discarded.
+   */
+  disconnect(): void {
+    this.observer.disconnect();
+  }
+
+  /**
+   * Apply pending mutation records, if any
+   */
+  flush(): void {
+    const records = this.observer.takeRecords();
+    if (records.length > 0) this.update(records);
+  }
+
+  /**
+   * Discard pending mutation records
+   *
+   * Should be invoked when the content is parsed anew, which renders pending records obsolete.
+   */
+  discard(): void {
+    this.observer.takeRecords();
+  }
+
+  /**
+   * Patch the content from mutation records
+   *
+   * See `patchContent`.
+   *
+   * @param {Array<MutationRecord>} records - Mutation records
+   */
+  update(records: Array<MutationRecord>): void {
+    patchContent(this.content, records);
+    this.emit("update");
+  }
+}
+
+/**
+ * Patch a `TextContent` instance from mutation records
+ *
+ * The markers of all text nodes affected are removed and those of the text nodes still present in
+ * the DOM inserted anew in document order.  Text nodes affected are those whose value was edited
+ * and those contained in sub-trees inserted or removed.  When an element is removed, markers of
+ * text nodes no longer present in the DOM are removed too, since the removed sub-tree may have
+ * changed after its removal.
+ *
+ * @param {TextContent} content - Reference to `TextContent` instance to patch
+ * @param {Array<MutationRecord>} records - Mutation records
+ */
+export function patchContent(content: TextContent, records: Array<MutationRecord>): void {
+  const nodes = new Set();
+  let removals = false;
+
+  for (const record of records) {
+    if (record.type === "characterData") {
+      nodes.add(record.target);
+    } else {
+      record.addedNodes.forEach((node) => collectTextNodes(node, nodes));
+      record.removedNodes.forEach((node) => {
+        if (node.nodeType !== 3) removals = true;
+        collectTextNodes(node, nodes);
+      });
+    }
+  }
+
+  const removed = new Map();
+  for (let i = content.markers.length - 1; i >= 0; --i) {
+    const { node } = content.markers[i];
+    if (nodes.has(node) || (removals && !containsComposed(content.root, node))) {
+      removed.set(node, content.removeAt(i));
+    }
+  }
+
+  nodes.forEach((node) => {
+    content.insert(node, removed.get(node));
+  });
+}
+
+function collectTextNodes(node: Node, nodes: Set<Node>): void {
+  if (node.nodeType === 3) {
+    nodes.add(node);
+    return;
+  }
+
+  for (let child = node.firstChild; child != null; child = child.nextSibling) {
+    collectTextNodes(child, nodes);
+  }
+}
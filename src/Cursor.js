@@ -4,8 +4,8 @@ import EventEmitter from "events";
 
 import * as dom from "./dom";
 import HighlightMarkers from "./HighlightMarkers";
-import HighlightDecorator from "./HighlightDecorator";
 import Highlight from "./Highlight";
+import type { IHighlightRenderer } from "./interfaces";
 
 export type IterableQueries = string | Array<string>;
 export type ScrollToCallback = (HTMLElement) => void;
@@ -21,7 +21,7 @@ export type ScrollToCallback = (HTMLElement) => void;
  */
 class Cursor extends EventEmitter {
   markers: HighlightMarkers;
-  decorator: HighlightDecorator;
+  renderer: IHighlightRenderer;
   index: number;
   active: ?Highlight;
   iterableQueries: ?Array<string>;
@@ -31,12 +31,13 @@ class Cursor extends EventEmitter {
    * Class constructor
    *
    * @param {HighlightMarkers} markers - Reference to highlight markers object
+   * @param {IHighlightRenderer} renderer - Renderer of the highlights, which styles the active one
    */
-  constructor(markers: HighlightMarkers, decorator: HighlightDecorator) {
+  constructor(markers: HighlightMarkers, renderer: IHighlightRenderer) {
     super();
 
     this.markers = markers;
-    this.decorator = decorator;
+    this.renderer = renderer;
     markers.on("update", () => this.update());
 
     this.index = -1;
@@ -129,13 +130,12 @@ class Cursor extends EventEmitter {
 
     // Clear currently active highlight, if any, and set requested highlight active
     this.clearActive_();
-    const coll = marker.highlight.elements;
+    const first = this.renderer.getElement(marker.highlight);
     // Scroll viewport if element not visible
-    if (coll.length > 0) {
+    if (first != null) {
       this.active = marker.highlight;
-      this.decorator.setActive(this.active);
+      this.renderer.setActive(this.active);
 
-      const first = coll[0];
       if (typeof scrollTo === "function") {
         try {
           scrollTo(first);
@@ -143,7 +143,7 @@ class Cursor extends EventEmitter {
           console.error("failed to scroll to highlight:", x);
         }
       } else if (!dom.isInView(first)) {
-        first.scrollIntoView();
+        dom.scrollIntoView(first);
       }
     }
 
@@ -193,7 +193,7 @@ class Cursor extends EventEmitter {
    */
   clearActive_(): void {
     if (this.active != null) {
-      this.decorator.setInactive(this.active);
+      this.renderer.setInactive(this.active);
       this.active = null;
     }
   }
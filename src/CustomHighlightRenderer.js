@@ -0,0 +1,200 @@
+// @flow
+
+import HighlightRenderer from "./HighlightRenderer";
+import TextContent from "./TextContent";
+import HighlightDecorator from "./HighlightDecorator";
+import Highlight from "./Highlight";
+import { containsComposed } from "./dom";
+
+// Names under which disabled and active highlights are registered, in addition to or in place of
+// the name of their group.
+export const DISABLED_HIGHLIGHT_NAME = "dh-disabled";
+export const ACTIVE_HIGHLIGHT_NAME = "dh-highlight-active";
+
+/**
+ * Return the name under which the highlights of a group are registered
+ *
+ * @param {Highlight} highlight - Highlight of the group
+ * @returns {string} Name of the group's highlight, for use in `::highlight()` selectors
+ */
+export function highlightNameOf(highlight: Highlight): string {
+  return `dh-highlight-group-${highlight.group.id}`;
+}
+
+/**
+ * Class responsible for rendering highlights by way of the CSS Custom Highlight API
+ *
+ * Rather than wrapping text nodes in elements, a DOM `Range` is created for every text node a
+ * highlight spans and registered with the `CSS.highlights` registry of the window the text node
+ * belongs to, under the name of the highlight's group, so that the DOM is never mutated.
+ * Highlights are styled with `::highlight()` selectors, e.g. `::highlight(dh-highlight-group-test)`.
+ * Disabled highlights are registered under `dh-disabled` instead of their group's name, and the
+ * active highlight under `dh-highlight-active` as well.
+ *
+ * Since no elements are created, the `elements` of highlights rendered this way are always empty
+ * and the decorator is never used.
+ */
+export default class CustomHighlightRenderer extends HighlightRenderer {
+  // DOM ranges of every highlight rendered.
+  ranges: Map<Highlight, Array<Range>>;
+
+  /**
+   * Determine if the CSS Custom Highlight API is supported
+   *
+   * @param {any} [win=window] - Window to check
+   * @returns {boolean} `true` if supported
+   */
+  static isSupported(win: any = window): boolean {
+    return win.CSS != null && win.CSS.highlights != null && typeof win.Highlight === "function";
+  }
+
+  constructor(content: TextContent, decorator: HighlightDecorator) {
+    super(content, decorator);
+    this.ranges = new Map();
+  }
+
+  /**
+   * Highlight a range
+   *
+   * Registers a DOM range for every text node the highlight's range spans.
+   *
+   * @param {Highlight} highlight - Highlight to render
+   * @returns {Array<HTMLElement>} Always an empty array
+   */
+  surround(highlight: Highlight): Array<HTMLElement> {
+    const ranges = this.createRanges_(highlight);
+    ranges.forEach((range) => this.injectStyles_(range.startContainer));
+    this.ranges.set(highlight, ranges);
+    this.register_(
+      highlight,
+      highlight.enabled ? highlightNameOf(highlight) : DISABLED_HIGHLIGHT_NAME
+    );
+    return [];
+  }
+
+  decorate(highlight: Highlight): void {
+    const [name, other] = [highlightNameOf(highlight), DISABLED_HIGHLIGHT_NAME];
+    this.unregister_(highlight, highlight.enabled ? other : name);
+    this.register_(highlight, highlight.enabled ? name : other);
+  }
+
+  detach(highlight: Highlight): void {
+    this.unregister_(highlight, highlightNameOf(highlight));
+    this.unregister_(highlight, DISABLED_HIGHLIGHT_NAME);
+    this.unregister_(highlight, ACTIVE_HIGHLIGHT_NAME);
+    this.ranges.delete(highlight);
+  }
+
+  setActive(highlight: Highlight): void {
+    this.register_(highlight, ACTIVE_HIGHLIGHT_NAME, 1);
+  }
+
+  setInactive(highlight: Highlight): void {
+    this.unregister_(highlight, ACTIVE_HIGHLIGHT_NAME);
+  }
+
+  /**
+   * Determine whether any of the text nodes a highlight spans were removed from the DOM
+   *
+   * The boundaries of a DOM range move to the parent of a text node removed from the DOM, which
+   * collapses the range.
+   *
+   * @param {Highlight} highlight - Highlight to check
+   * @param {Node} container - Container element the highlight was rendered in
+   * @returns {boolean} `true` if any range collapsed or is no longer contained in `container`
+   */
+  isDetached(highlight: Highlight, container: Node): boolean {
+    return this.rangesOf_(highlight).some(
+      (range) => range.collapsed || !containsComposed(container, range.startContainer)
+    );
+  }
+
+  getBounds(highlight: Highlight): Array<DOMRect> {
+    return this.rangesOf_(highlight).map((range: any) => range.getBoundingClientRect());
+  }
+
+  getElement(highlight: Highlight): ?HTMLElement {
+    const range = this.rangesOf_(highlight)[0];
+    return range != null ? (range.startContainer: any).parentElement : null;
+  }
+
+  dispose(): void {
+    for (const highlight of Array.from(this.ranges.keys())) {
+      this.detach(highlight);
+    }
+
+    super.dispose();
+  }
+
+  //  Private interface
+  // ----------------------------------------
+  /**
+   * Return the DOM ranges of a highlight
+   * @access private
+   *
+   * @param {Highlight} highlight - Highlight
+   * @returns {Array<Range>} DOM ranges, empty if the highlight is not rendered
+   */
+  rangesOf_(highlight: Highlight): Array<Range> {
+    return this.ranges.get(highlight) || [];
+  }
+
+  /**
+   * Return the window a DOM range belongs to
+   * @access private
+   *
+   * @param {Range} range - DOM range
+   * @returns {any} Window of the range's document, or `null` if the document is no longer shown,
+   * e.g. because its frame was removed
+   */
+  windowOf_(range: Range): any {
+    return (range.startContainer: any).ownerDocument.defaultView;
+  }
+
+  /**
+   * Add the ranges of a highlight to the custom highlight registered under a name
+   * @access private
+   *
+   * The custom highlight is created and registered with the registry of the window each range
+   * belongs to if it does not exist yet.
+   *
+   * @param {Highlight} highlight - Highlight whose ranges to add
+   * @param {string} name - Name of the custom highlight
+   * @param {number} [priority=0] - Priority of the custom highlight, if created
+   */
+  register_(highlight: Highlight, name: string, priority: number = 0): void {
+    for (const range of this.rangesOf_(highlight)) {
+      const win = this.windowOf_(range);
+      if (win == null) continue;
+
+      let custom = win.CSS.highlights.get(name);
+      if (custom == null) {
+        custom = new win.Highlight();
+        custom.priority = priority;
+        win.CSS.highlights.set(name, custom);
+      }
+
+      custom.add(range);
+    }
+  }
+
+  /**
+   * Remove the ranges of a highlight from the custom highlight registered under a name
+   * @access private
+   *
+   * The custom highlight is unregistered once it contains no ranges.
+   *
+   * @param {Highlight} highlight - Highlight whose ranges to remove
+   * @param {string} name - Name of the custom highlight
+   */
+  unregister_(highlight: Highlight, name: string): void {
+    for (const range of this.rangesOf_(highlight)) {
+      const win = this.windowOf_(range);
+      const custom = win != null ? win.CSS.highlights.get(name) : null;
+      if (custom == null) continue;
+
+      custom.delete(range);
+      if (custom.size < 1) win.CSS.highlights.delete(name);
+    }
+  }
+}
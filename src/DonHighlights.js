@@ -2,28 +2,61 @@
 
 import EventEmitter from "events";
 
-import type { QuerySubject } from "./typedefs";
-import type { ForEachPredicate, SomePredicate } from "./interfaces";
+import type { FinderOptions, QuerySubject, VerifyMode } from "./typedefs";
+import type { ForEachPredicate, IHighlightRenderer, SomePredicate } from "./interfaces";
 import createFinder from "./createFinder";
 import TextContent from "./TextContent";
 import HighlightMarkers from "./HighlightMarkers";
 import Group from "./Group";
+import type { GroupJSON, Orphan, Pending } from "./Group";
+import type { HighlightJSON } from "./Highlight";
+import Highlight from "./Highlight";
 import Cursor from "./Cursor";
 import TextRange from "./TextRange";
 import IdGenerator from "./IdGenerator";
 import HighlightRenderer from "./HighlightRenderer";
 import HighlightDecorator from "./HighlightDecorator";
+import Autosave from "./Autosave";
+import { parseSnapshot } from "./schema";
+import AnchorError from "./AnchorError";
+import ContentObserver from "./ContentObserver";
+import Watchdog from "./Watchdog";
+import PendingObserver from "./PendingObserver";
+import ExclusionPolicy from "./ExclusionPolicy";
+import type { ExclusionOptions } from "./ExclusionPolicy";
 
 type QueryPredicate = (hit: TextRange, index: number) => any;
 
+export type SnapshotJSON = {|
+  groups: Array<GroupJSON>,
+|};
+
+export type RestoreResult = {|
+  group: string,
+  id: string,
+  highlight: ?Highlight,
+  error: ?Error,
+|};
+
+export type RestoreOptions = {|
+  verify?: VerifyMode,
+|};
+
 export default class DonHighlights extends EventEmitter {
   container: HTMLElement;
   cursor: Cursor;
   content: TextContent;
   idGenerator: IdGenerator;
+  // Randomly generated signature stamped on the highlight elements of the instance.  Not produced
+  // by `idGenerator`, which may be deterministic and would then give every instance the same one.
+  signature: string;
   markers: HighlightMarkers;
   groups: Map<string, Group>;
-  renderer: HighlightRenderer;
+  renderer: IHighlightRenderer;
+  autosave: ?Autosave;
+  observer: ?ContentObserver;
+  watchdog: ?Watchdog;
+  pendingObserver: ?PendingObserver;
 
   constructor(
     container: HTMLElement,
@@ -33,26 +66,252 @@ export default class DonHighlights extends EventEmitter {
     super();
 
     this.container = container;
+    this.signature = new IdGenerator().generate();
     this.content = new TextContent(container);
+    this.content.signature = this.signature;
     this.content.parse();
     this.groups = new Map();
     this.markers = new HighlightMarkers(this.groups);
-    this.cursor = new Cursor(this.markers, highlightDecorator);
-
     this.renderer = new HighlightRenderer(this.content, highlightDecorator);
+    this.cursor = new Cursor(this.markers, this.renderer);
+
     this.idGenerator = idGenerator;
+    this.autosave = null;
+    this.observer = null;
+    this.watchdog = null;
+    this.pendingObserver = null;
   }
 
   dispose(): void {
+    // Save pending changes, if any, before highlights are cleared below so the cleared state is
+    // never saved.
+    this.setAutosave(null);
+    this.setLive(false);
+    this.setWatchdog(false);
+    this.setPending(false);
     this.removeAllListeners();
     this.clear();
+    this.renderer.dispose();
     this.content.dispose();
     this.markers.dispose();
   }
 
+  /**
+   * Set or clear the autosave controller
+   *
+   * A controller being replaced or cleared is disposed of after any scheduled save is carried out.
+   *
+   * @param {?Autosave} autosave - Autosave controller or `null`
+   */
+  setAutosave(autosave: ?Autosave): void {
+    const current = this.autosave;
+    if (current === autosave) return;
+
+    if (current != null) {
+      current.flush().catch((x) => console.error("failed to save highlights:", x));
+      current.dispose();
+    }
+
+    this.autosave = autosave;
+  }
+
+  /**
+   * Set the highlight renderer
+   *
+   * Highlights rendered by the renderer being replaced are rendered anew by `renderer`, which takes
+   * over the styles injected into shadow roots and frame documents.  The cursor is cleared.
+   *
+   * @param {IHighlightRenderer} renderer - Highlight renderer
+   */
+  setRenderer(renderer: IHighlightRenderer): void {
+    const current = this.renderer;
+    if (current === renderer) return;
+
+    this.cursor.clear();
+    const highlights = [];
+    this.forEach((hl) => {
+      hl.detach();
+      highlights.push(hl);
+    });
+    current.dispose();
+
+    renderer.shadowStyles = current.shadowStyles;
+    renderer.frameStyles = current.frameStyles;
+    this.renderer = this.cursor.renderer = renderer;
+    this.groups.forEach((group) => (group.renderer = renderer));
+    for (const hl of highlights) {
+      hl.render();
+    }
+  }
+
+  /**
+   * Enable or disable live mode
+   *
+   * In live mode, the internal document representation is kept up to date with changes to the
+   * container's DOM sub-tree as they happen, making it unnecessary to invoke `refresh` after every
+   * change.
+   *
+   * @param {boolean} live - Whether to enable live mode
+   */
+  setLive(live: boolean): void {
+    if (live && this.observer == null) {
+      this.observer = new ContentObserver(this.content);
+    } else if (!live && this.observer != null) {
+      this.observer.dispose();
+      this.observer = null;
+    }
+  }
+
+  /**
+   * Enable or disable the watchdog
+   *
+   * The watchdog renders anew highlights whose elements are removed from the DOM, e.g. by a
+   * framework re-rendering the content containing them, emitting the `rerender` event for each.
+   * Highlights that cannot be anchored anew are orphaned.
+   *
+   * @param {boolean} enabled - Whether to enable the watchdog
+   */
+  setWatchdog(enabled: boolean): void {
+    if (enabled && this.watchdog == null) {
+      this.watchdog = new Watchdog(this);
+    } else if (!enabled && this.watchdog != null) {
+      this.watchdog.dispose();
+      this.watchdog = null;
+    }
+  }
+
+  /**
+   * Enable or disable pending highlights
+   *
+   * When enabled, highlights restored whose range refers to content that does not exist yet, as
+   * happens on pages that load content lazily, are kept pending by their group instead of being
+   * orphaned.  Pending highlights are anchored as soon as their content is added to the container,
+   * whether noticed by observing the container or upon `refresh`, and an `anchored` event is
+   * emitted for each.
+   *
+   * @param {boolean} enabled - Whether to enable pending highlights
+   */
+  setPending(enabled: boolean): void {
+    if (enabled && this.pendingObserver == null) {
+      this.pendingObserver = new PendingObserver(this);
+    } else if (!enabled && this.pendingObserver != null) {
+      this.pendingObserver.dispose();
+      this.pendingObserver = null;
+    }
+  }
+
+  /**
+   * Enable or disable descending into open shadow roots
+   *
+   * When enabled, the text inside the open shadow roots of elements in the container can be
+   * searched and highlighted, and XPath representations of ranges cross shadow boundaries by way of
+   * the `#shadow-root` step.  Since the document's style sheets do not apply inside shadow trees,
+   * `styles` is injected into every shadow root highlights are rendered in.
+   *
+   * Note that live mode and the watchdog do not observe mutations inside shadow trees.
+   *
+   * @param {boolean} shadow - Whether to descend into open shadow roots
+   * @param {string} [styles] - CSS to inject into shadow roots
+   */
+  setShadow(shadow: boolean, styles?: ?string): void {
+    this.renderer.shadowStyles = styles;
+    if (this.content.shadow !== shadow) {
+      this.content.shadow = shadow;
+      this.refresh();
+    }
+  }
+
+  /**
+   * Enable or disable descending into same-origin frames
+   *
+   * When enabled, the text of the documents loaded in same-origin frames inside the container is
+   * searched and highlighted as part of the container's text, and XPath representations of ranges
+   * cross frame boundaries by way of the `#document` step.  Since the document's style sheets do not
+   * apply inside frames, `styles` is injected into every frame document highlights are rendered in.
+   *
+   * Frames that are cross-origin or not yet loaded are skipped.  Call `refresh` once a frame loads
+   * to make its text available.  Note that live mode and the watchdog do not observe mutations
+   * inside frames.
+   *
+   * @param {boolean} frames - Whether to descend into same-origin frames
+   * @param {string} [styles] - CSS to inject into frame documents
+   */
+  setFrames(frames: boolean, styles?: ?string): void {
+    this.renderer.frameStyles = styles;
+    if (this.content.frames !== frames) {
+      this.content.frames = frames;
+      this.refresh();
+    }
+  }
+
+  /**
+   * Enable or disable the separation of blocks
+   *
+   * When enabled, the text searched by text queries contains a virtual separator wherever a block
+   * element or a `BR` element separates two text nodes, so that matches do not run across
+   * paragraphs.  Offsets of the text, such as those of text positions, are not affected.
+   *
+   * @param {boolean} enabled - Whether to separate blocks
+   */
+  setBlocks(enabled: boolean): void {
+    if (this.content.blocks !== enabled) {
+      this.content.blocks = enabled;
+      this.content.invalidateView();
+    }
+  }
+
+  /**
+   * Enable or disable the collapsing of whitespace
+   *
+   * When enabled, the text searched by text queries and the text contained by ranges and text
+   * quotes is the text as rendered by the browser: blocks are separated and whitespace collapses
+   * as specified by the CSS `white-space` property, so they do not depend on how the source of the
+   * document is formatted.  Offsets of the text, such as those of text positions, are not affected.
+   *
+   * @param {boolean} enabled - Whether to collapse whitespace
+   */
+  setCollapse(enabled: boolean): void {
+    if (this.content.collapse !== enabled) {
+      this.content.collapse = enabled;
+      this.content.invalidateView();
+    }
+  }
+
+  /**
+   * Enable or disable the folding of text queries
+   *
+   * When enabled, query strings match text that differs only in case, diacritics or Unicode
+   * normalization form, e.g. "resume" matches "Résumé".  Regular expressions are not affected.
+   *
+   * @param {boolean} enabled - Whether to fold text queries
+   */
+  setFold(enabled: boolean): void {
+    this.content.fold = enabled;
+  }
+
+  /**
+   * Set the content exclusion policy
+   *
+   * Elements excluded by the policy, and their descendants, are omitted from the text searched and
+   * highlighted, and ignored by XPath representations of ranges.  Elements marked with the
+   * `data-dh-ignore` attribute are always excluded.
+   *
+   * Note that live mode does not notice elements becoming excluded or no longer excluded as their
+   * attributes change.  Call `refresh` instead.
+   *
+   * @param {ExclusionOptions} [options] - Tag names, CSS selectors and predicate of elements to
+   * exclude
+   */
+  setExclusion(options?: ?ExclusionOptions): void {
+    this.content.policy = new ExclusionPolicy(options || undefined);
+    this.refresh();
+  }
+
   setContainer(container: HTMLElement): void {
     this.container = container;
     this.refresh();
+    if (this.watchdog != null) this.watchdog.observe();
+    if (this.pendingObserver != null) this.pendingObserver.observe();
   }
 
   /**
@@ -61,15 +320,24 @@ export default class DonHighlights extends EventEmitter {
    * Important to note that normalisation of text nodes is not automatically carried out because it
    * was found to be breaking pages that held on to element and text node references that became
    * invalid _after_ normalisation.  Only normalise when the content is known not to break.
+   *
+   * Pending highlights, if any, are anchored if their content is found.
    */
   refresh(normalise: boolean = false): void {
     if (normalise) this.normalise();
 
+    // Pending mutation records are obsolete once the content is parsed anew.
+    const { observer } = this;
+    if (observer != null) observer.discard();
+
     if (this.content.root !== this.container) {
       this.content.setRoot(this.container);
+      if (observer != null) observer.observe();
     } else {
       this.content.parse();
     }
+
+    if (this.pending().length > 0) this.anchorPending();
   }
 
   /**
@@ -100,6 +368,11 @@ export default class DonHighlights extends EventEmitter {
 
     group.on("highlight", (hl) => this.emit("highlight", hl));
     group.on("unhighlight", (hl) => this.emit("unhighlight", hl));
+    group.on("orphan", (orphan) => this.emit("orphan", orphan));
+    group.on("rerender", (hl) => this.emit("rerender", hl));
+    group.on("anchored", (hl) => this.emit("anchored", hl));
+    group.on("setstate", (hl) => this.emit("setstate", hl));
+    group.on("setenabled", (g) => this.emit("setenabled", g));
 
     this.groups.set(name, group);
     return group;
@@ -134,6 +407,52 @@ export default class DonHighlights extends EventEmitter {
     return count;
   }
 
+  /**
+   * Return the highlights of all groups that could not be anchored
+   *
+   * @returns {Array<Orphan>} Orphaned highlights
+   */
+  orphans(): Array<Orphan> {
+    const orphans = [];
+    this.groups.forEach((g) => g.orphans.forEach((orphan) => orphans.push(orphan)));
+    return orphans;
+  }
+
+  /**
+   * Return the highlights of all groups whose content does not exist yet
+   *
+   * @returns {Array<Pending>} Pending highlights
+   */
+  pending(): Array<Pending> {
+    const pending = [];
+    this.groups.forEach((g) => g.pending.forEach((p) => pending.push(p)));
+    return pending;
+  }
+
+  /**
+   * Attempt to anchor pending highlights
+   *
+   * Highlights whose range resolves are restored, which causes an `anchored` event to be emitted
+   * for each, and those whose range resolves to text that changed are orphaned.  The remaining
+   * highlights are kept pending.
+   *
+   * @returns {number} Number of highlights anchored
+   */
+  anchorPending(): number {
+    let anchored = 0;
+    for (const { group, json, verify } of this.pending()) {
+      try {
+        group.restore(json, this.anchor_(json, verify));
+        ++anchored;
+      } catch (error) {
+        const reason = error instanceof AnchorError ? error.reason : "missing-element";
+        if (reason !== "missing-element") group.orphan(json, reason, error);
+      }
+    }
+
+    return anchored;
+  }
+
   forEach(predicate: ForEachPredicate): void {
     this.groups.forEach((g) => g.forEach(predicate));
   }
@@ -146,8 +465,80 @@ export default class DonHighlights extends EventEmitter {
     return false;
   }
 
-  query(query: QuerySubject, predicate: QueryPredicate): boolean {
-    const finder = createFinder(this.content, query);
+  /**
+   * Produce a snapshot of all groups and their highlights
+   *
+   * The snapshot is a plain object that is safe to pass to `JSON.stringify` and which can be
+   * restored at a later time, possibly in a different session, by way of the `restore` method.
+   *
+   * @returns {SnapshotJSON} Snapshot of the highlighter's groups and highlights
+   */
+  serialize(): SnapshotJSON {
+    const groups = [];
+    this.groups.forEach((g) => groups.push(g.toJSON()));
+    return { groups };
+  }
+
+  /**
+   * Restore groups and highlights from a snapshot
+   *
+   * Groups that do not exist are created and groups that do are reused, with their enabled state
+   * set to that of the snapshot.  Highlights are restored independently of one another so a
+   * highlight whose range no longer resolves does not prevent the remaining highlights from being
+   * restored.  The outcome of every highlight is reported in the array returned, where failed
+   * highlights carry the error raised and a `null` highlight.  Highlights that fail to restore are
+   * kept as orphans of their group and an `orphan` event is emitted for each, unless pending
+   * highlights are enabled and their range refers to content that does not exist, in which case
+   * they are kept pending.
+   *
+   * Snapshots holding groups or highlights serialized by previous versions are migrated to the
+   * current version before being restored.  A malformed snapshot is rejected as a whole.
+   *
+   * The text of highlights that carry the text they contain, or a hash of it, is verified as
+   * specified by the `verify` option: highlights whose text changed are orphaned (`reject`),
+   * restored with their range flagged as drifted (`flag`) or re-anchored to their text if found
+   * nearby, with their range also flagged as drifted (`search`, the default).
+   *
+   * @param {mixed} snapshot - Snapshot as produced by `serialize`
+   * @param {RestoreOptions} [options] - Restore options
+   * @returns {Array<RestoreResult>} Outcome of restoring each highlight in the snapshot
+   * @throws {Error} Snapshot is malformed or of an unsupported version
+   */
+  restore(snapshot: mixed, options?: RestoreOptions): Array<RestoreResult> {
+    const mode = (options && options.verify) || "search";
+    const results = [];
+
+    for (const json of parseSnapshot(snapshot).groups) {
+      const group = this.has(json.name) ? this.group(json.name) : this.create(json.name);
+      group.setEnabled(json.enabled);
+
+      for (const hl of json.highlights) {
+        try {
+          results.push({
+            group: group.name,
+            id: hl.id,
+            highlight: group.restore(hl, this.anchor_(hl, mode)),
+            error: null,
+          });
+        } catch (error) {
+          const reason = error instanceof AnchorError ? error.reason : "missing-element";
+          if (reason === "missing-element" && this.pendingObserver != null) {
+            group.defer(hl, mode);
+          } else {
+            group.orphan(hl, reason, error);
+          }
+          results.push({ group: group.name, id: hl.id, highlight: null, error });
+        }
+      }
+    }
+
+    return results;
+  }
+
+  query(query: QuerySubject, predicate: QueryPredicate, options?: FinderOptions): boolean {
+    if (this.observer != null) this.observer.flush();
+
+    const finder = createFinder(this.content, query, options);
     let hit;
     let idx = 0;
     while ((hit = finder.next()) != null) {
@@ -156,4 +547,38 @@ export default class DonHighlights extends EventEmitter {
     }
     return true;
   }
+
+  //  Private interface
+  // ----------------------------------------
+  /**
+   * Resolve the range of a serialized highlight
+   * @access private
+   *
+   * @param {HighlightJSON} json - Serialized highlight
+   * @param {VerifyMode} mode - Mode in which to verify the text of the highlight, if it carries it
+   *
+   * @returns {TextRange} Range the highlight resolves to
+   * @throws {AnchorError} Range does not resolve
+   */
+  anchor_(json: HighlightJSON, mode: VerifyMode): TextRange {
+    let hit: ?TextRange = null;
+    const verify =
+      json.text != null || json.hash != null
+        ? { text: json.text, hash: json.hash, mode }
+        : undefined;
+    this.query(
+      json.range,
+      (h) => {
+        hit = h;
+        return false;
+      },
+      { verify }
+    );
+
+    if (hit == null) {
+      throw new AnchorError("missing-element", `Unable to resolve range of highlight: ${json.id}`);
+    }
+
+    return hit;
+  }
 }
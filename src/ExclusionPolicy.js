@@ -0,0 +1,85 @@
+// @flow
+
+import { parentOf } from "./dom";
+
+export type ExclusionPredicate = (el: Element) => boolean;
+
+export type ExclusionOptions = {|
+  tagNames?: Array<string>,
+  selectors?: Array<string>,
+  predicate?: ExclusionPredicate,
+|};
+
+// Selector of elements that are always excluded.
+export const IGNORE_SELECTOR = "[data-dh-ignore]";
+
+/**
+ * Class responsible for deciding which DOM sub-trees are excluded from search and highlighting
+ *
+ * Elements are excluded when their tag name is one of the tag names given, when they match one of
+ * the CSS selectors given or `[data-dh-ignore]`, or when the predicate given returns `true` for
+ * them.  The text of excluded elements and of their descendants is omitted from the text content,
+ * never highlighted and ignored when computing or resolving XPath representations, as if the
+ * elements did not exist.
+ */
+export default class ExclusionPolicy {
+  tagNames: Set<string>;
+  selector: string;
+  predicate: ?ExclusionPredicate;
+
+  /**
+   * Class constructor
+   *
+   * @param {ExclusionOptions} [options] - Tag names, CSS selectors and predicate of elements to
+   * exclude
+   */
+  constructor(options?: ExclusionOptions) {
+    const { tagNames = [], selectors = [], predicate = null } = options || {};
+    this.tagNames = new Set(tagNames.map((name) => name.toUpperCase()));
+    this.selector = [IGNORE_SELECTOR, ...selectors].join(", ");
+    this.predicate = predicate;
+
+    // Reject invalid selectors early rather than every time an element is checked.
+    try {
+      document.createDocumentFragment().querySelector(this.selector);
+    } catch (x) {
+      throw new Error(`Invalid exclusion selector: ${this.selector}`);
+    }
+  }
+
+  /**
+   * Determine if a node is excluded
+   *
+   * Only elements are ever excluded.
+   *
+   * @param {Node} node - Node to check
+   * @returns {boolean} `true` if `node` is an excluded element
+   */
+  excludes(node: Node): boolean {
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return false;
+    }
+
+    const el: any = node;
+    return (
+      this.tagNames.has(el.tagName.toUpperCase()) ||
+      el.matches(this.selector) ||
+      (this.predicate != null && this.predicate(el) === true)
+    );
+  }
+
+  /**
+   * Determine if a node is excluded or descends from an excluded element
+   *
+   * @param {Node} node - Node to check
+   * @param {Node} root - Root node where to stop checking, which is not checked itself
+   * @returns {boolean} `true` if `node` or any of its ancestors below `root` is excluded
+   */
+  isExcluded(node: Node, root: Node): boolean {
+    for (let it = node; it != null && it !== root; it = parentOf(it)) {
+      if (this.excludes(it)) return true;
+    }
+
+    return false;
+  }
+}
@@ -1,9 +1,21 @@
 // @flow
 
+import type { FuzzyOptions, VerifyOptions } from "./typedefs";
 import * as util from "./util";
+import { approximateSearchAround, approximateSearchNear, defaultMaxErrors } from "./fuzzy";
 import TextContent from "./TextContent";
 import TextRange from "./TextRange";
 import type { RangeDescriptor } from "./TextRange";
+import AnchorError from "./AnchorError";
+
+// Global start and (inclusive) end offsets of a range resolved by a finder, along with the
+// confidence in the range and whether the text it contains differs from the text expected.
+export type ResolvedRange = {|
+  start: number,
+  end: number,
+  confidence: number,
+  drifted?: boolean,
+|};
 
 /**
  * Abstract base class of all finder classes
@@ -55,4 +67,71 @@ export default class Finder {
 
     return TextRange.descriptorAbs(this.content.at(index), offset);
   }
+
+  /**
+   * Approximately match the text a range is expected to contain
+   *
+   * The whole text is searched unless `nearby` is specified, in which case only a window around
+   * the offset given is.
+   * @access private
+   *
+   * @param {FuzzyOptions} fuzzy - Text to match and edit-distance budget
+   * @param {boolean} [nearby=false] - Whether to search only near the offset given
+   * @returns {?Object} Descriptor containing the global start and (inclusive) end offsets, or
+   * `null` if no match found within budget
+   */
+  approximate_(fuzzy: FuzzyOptions, nearby: boolean = false): ?ResolvedRange {
+    const { text } = fuzzy;
+    const map = this.content.representation();
+    const offset = fuzzy.offset != null ? map.fromSource(fuzzy.offset) : undefined;
+    const maxErrors = fuzzy.maxErrors != null ? fuzzy.maxErrors : defaultMaxErrors(text);
+    const match =
+      nearby && offset != null
+        ? approximateSearchAround(map.text, text, maxErrors, offset)
+        : approximateSearchNear(map.text, text, maxErrors, offset);
+    if (match == null || match.end <= match.start) {
+      return null;
+    }
+
+    // Map the match, found in the representation of the text, back to the text.
+    const start = map.toSource(match.start);
+    const end = map.toSourceEnd(match.end - 1);
+    if (end < start) {
+      return null;
+    }
+
+    return { start, end, confidence: 1 - match.errors / text.length };
+  }
+
+  /**
+   * Verify the text a resolved range contains
+   *
+   * Returns the range as is if its text matches the text expected.  Otherwise, depending on the
+   * verification mode, throws an `AnchorError` (`reject`, the default), returns the range flagged
+   * as drifted (`flag`) or returns an approximate match of the text expected near the range, also
+   * flagged as drifted (`search`).  Searching requires the text expected to be given verbatim and
+   * throws if no match is found near the range.
+   * @access private
+   *
+   * @param {ResolvedRange} result - Range resolved
+   * @param {VerifyOptions} verify - Text expected and verification mode
+   * @returns {ResolvedRange} Range verified
+   */
+  verify_(result: ResolvedRange, verify: VerifyOptions): ResolvedRange {
+    const { text, hash } = verify;
+    const actual = this.content.excerpt(result.start, result.end - result.start + 1);
+    if (text != null ? actual === text : hash == null || util.hashText(actual) === hash) {
+      return result;
+    }
+
+    const mode = verify.mode || "reject";
+    if (mode === "flag") {
+      return { ...result, drifted: true };
+    } else if (mode === "search" && text != null) {
+      const match = this.approximate_({ text, offset: result.start }, true);
+      if (match != null) return { ...match, drifted: true };
+    }
+
+    throw new AnchorError("text-mismatch", "Text of range does not match text expected");
+  }
 }
@@ -2,32 +2,53 @@
 
 import EventEmitter from "events";
 
-import type { ForEachPredicate, SomePredicate } from "./interfaces";
+import type { ForEachPredicate, IHighlightRenderer, SomePredicate } from "./interfaces";
 import HighlightMarkers from "./HighlightMarkers";
-import HighlightRenderer from "./HighlightRenderer";
 import IdGenerator from "./IdGenerator";
 import TextRange from "./TextRange";
 import Highlight from "./Highlight";
 import type { HighlightJSON } from "./Highlight";
+import { SCHEMA_VERSION } from "./schema";
+import type { AnchorFailure } from "./AnchorError";
+import type { VerifyMode } from "./typedefs";
 
 export type GroupJSON = {|
+  version: number,
   name: string,
+  enabled: boolean,
   highlights: Array<HighlightJSON>,
 |};
 
+// Serialized highlight that could not be anchored to the document.
+export type Orphan = {|
+  group: Group,
+  json: HighlightJSON,
+  reason: AnchorFailure,
+  error: Error,
+|};
+
+// Serialized highlight whose range refers to content that does not exist yet.
+export type Pending = {|
+  group: Group,
+  json: HighlightJSON,
+  verify: VerifyMode,
+|};
+
 export default class Group extends EventEmitter {
   markers: HighlightMarkers;
-  renderer: HighlightRenderer;
+  renderer: IHighlightRenderer;
   idGenerator: IdGenerator;
   id: string;
   name: string;
   enabled: boolean;
   highlights: Map<string, Highlight>;
+  orphans: Map<string, Orphan>;
+  pending: Map<string, Pending>;
 
   constructor(
     name: string,
     markers: HighlightMarkers,
-    renderer: HighlightRenderer,
+    renderer: IHighlightRenderer,
     idGenerator: IdGenerator
   ) {
     super();
@@ -39,6 +60,8 @@ export default class Group extends EventEmitter {
     this.name = name;
     this.enabled = true;
     this.highlights = new Map();
+    this.orphans = new Map();
+    this.pending = new Map();
   }
 
   enable(): void {
@@ -56,6 +79,7 @@ export default class Group extends EventEmitter {
         this.renderer.decorate(hl);
       });
       this.enabled = enabled;
+      this.emit("setenabled", this);
     }
   }
 
@@ -83,6 +107,7 @@ export default class Group extends EventEmitter {
       this.highlights.delete(hl.id);
       this.emit("unhighlight", hl);
     });
+    hl.on("setstate", () => this.emit("setstate", hl));
 
     hl.render();
     this.highlights.set(hl.id, hl);
@@ -97,6 +122,85 @@ export default class Group extends EventEmitter {
     return hl;
   }
 
+  /**
+   * Restore a serialized highlight
+   *
+   * Creates a highlight over `range` that carries the identifier and state contained in `json`,
+   * replacing any existing highlight with the same identifier.  Emits the `anchored` event if the
+   * highlight was pending.
+   *
+   * @param {HighlightJSON} json - Serialized highlight
+   * @param {TextRange} range - Range the serialized highlight resolved to
+   *
+   * @returns {Highlight} The restored highlight
+   */
+  restore(json: HighlightJSON, range: TextRange): Highlight {
+    const hl = new Highlight(this, json.id, range, json.state);
+    const pending = this.pending.delete(json.id);
+    this.orphans.delete(json.id);
+    this.add(hl);
+    if (pending) this.emit("anchored", hl);
+    return hl;
+  }
+
+  /**
+   * Keep a serialized highlight whose range refers to content that does not exist yet
+   *
+   * Pending highlights are kept apart from the group's highlights, replacing any pending or
+   * orphaned highlight with the same identifier, until their range can be resolved.  Like orphans,
+   * they are serialized along with the group.
+   *
+   * @param {HighlightJSON} json - Serialized highlight
+   * @param {VerifyMode} verify - Mode in which to verify the text of the highlight once resolved
+   *
+   * @returns {Pending} The pending highlight
+   */
+  defer(json: HighlightJSON, verify: VerifyMode): Pending {
+    const pending = { group: this, json, verify };
+    this.orphans.delete(json.id);
+    this.pending.set(json.id, pending);
+    return pending;
+  }
+
+  /**
+   * Keep a serialized highlight that could not be anchored
+   *
+   * Orphaned highlights are kept apart from the group's highlights, replacing any orphan with the
+   * same identifier, and are serialized along with the group so they are not lost when saving.
+   * Emits the `orphan` event.
+   *
+   * @param {HighlightJSON} json - Serialized highlight
+   * @param {AnchorFailure} reason - Reason the highlight could not be anchored
+   * @param {Error} error - Error raised when anchoring the highlight
+   *
+   * @returns {Orphan} The orphaned highlight
+   */
+  orphan(json: HighlightJSON, reason: AnchorFailure, error: Error): Orphan {
+    const orphan = { group: this, json, reason, error };
+    this.pending.delete(json.id);
+    this.orphans.set(json.id, orphan);
+    this.emit("orphan", orphan);
+    return orphan;
+  }
+
+  /**
+   * Render a highlight anew over a range
+   *
+   * Removes the highlight's elements from the DOM, if any remain, and renders the highlight over
+   * `range`.  Emits the `rerender` event.
+   *
+   * @param {Highlight} hl - Highlight to render
+   * @param {TextRange} range - Range to render the highlight over
+   */
+  rerender(hl: Highlight, range: TextRange): void {
+    this.markers.remove(hl);
+    hl.detach();
+    hl.range = range;
+    hl.render();
+    this.markers.add(hl);
+    this.emit("rerender", hl);
+  }
+
   unhighlight(id: string): void {
     const hl = this.get(id);
     hl.remove();
@@ -106,11 +210,23 @@ export default class Group extends EventEmitter {
   remove(): void {
     this.markers.removeGroup(this);
     this.highlights.forEach((hl) => hl.remove());
+    this.orphans.clear();
+    this.pending.clear();
     this.emit("remove", this);
   }
 
   clear(): void {
     this.highlights.forEach((hl) => hl.remove());
+    this.orphans.clear();
+    this.pending.clear();
+  }
+
+  toJSON(): GroupJSON {
+    const highlights = [];
+    this.highlights.forEach((hl) => highlights.push(hl.toJSON()));
+    this.orphans.forEach((orphan) => highlights.push(orphan.json));
+    this.pending.forEach((pending) => highlights.push(pending.json));
+    return { version: SCHEMA_VERSION, name: this.name, enabled: this.enabled, highlights };
   }
 
   forEach(predicate: ForEachPredicate): void {
@@ -2,12 +2,28 @@
 
 import EventEmitter from "events";
 
-import type { XPathRange } from "./typedefs";
+import type { TextQuote, XPathRange } from "./typedefs";
 import { calculateBoundingRect } from "./dom";
 import Group from "./Group";
 import TextRange from "./TextRange";
-
-export type HighlightJSON = XPathRange;
+import { SCHEMA_VERSION } from "./schema";
+
+export type HighlightJSON = {|
+  version: number,
+  id: string,
+  range: XPathRange,
+  state: any,
+  // Text the range is expected to contain, given verbatim or as a hash produced by `hashText`.
+  text?: string,
+  hash?: string,
+|};
+
+// Representations of a highlight's range cached when it is rendered, from which the highlight can
+// be anchored anew after its elements are removed from the DOM.
+export type HighlightAnchor = {|
+  xpath: XPathRange,
+  quote: TextQuote,
+|};
 
 export interface IHighlightDecorator {
   decorate(highlight: Class<Highlight>): void;
@@ -20,6 +36,7 @@ export default class Highlight extends EventEmitter {
   state: any;
   elements: Array<HTMLElement>;
   enabled: boolean;
+  anchor: ?HighlightAnchor;
 
   constructor(group: Group, id: string, range: TextRange, state: any) {
     super();
@@ -30,9 +47,11 @@ export default class Highlight extends EventEmitter {
     this.state = state;
     this.elements = [];
     this.enabled = group.enabled;
+    this.anchor = null;
   }
 
   render(): Array<HTMLElement> {
+    this.anchor = { xpath: this.range.computeXPath(), quote: this.range.computeQuote() };
     const elements = this.group.renderer.surround(this);
     return (this.elements = elements);
   }
@@ -41,39 +60,51 @@ export default class Highlight extends EventEmitter {
     this.enabled = enabled;
   }
 
-  // TODO: consider automatically normalising text nodes during removal
+  /**
+   * Remove the highlight's rendering from the page for good
+   *
+   * Text nodes split when the highlight was rendered are joined back together.
+   */
   remove(): void {
-    for (const el of this.elements) {
-      let child;
-      while ((child = el.childNodes[0]) != null) {
-        // If the highlight element does not have a parent node, then we assume it does not exist in
-        // the DOM anymore.
-        if (el.parentNode == null) break;
-        (el.parentNode: any).insertBefore(child, el);
-      }
-
-      el.remove();
-    }
-
+    this.group.renderer.detach(this, true);
+    this.elements = [];
     this.emit("remove", this);
   }
 
+  /**
+   * Remove the highlight's rendering from the page, leaving the highlighted content in place
+   *
+   * Unlike `remove`, the highlight is not removed from its group and may be rendered again.
+   */
+  detach(): void {
+    this.group.renderer.detach(this);
+    this.elements = [];
+  }
+
+  /**
+   * Determine whether any of the highlight's elements were removed from the DOM
+   *
+   * Elements are removed from the DOM when, for instance, a framework re-renders the content that
+   * contains them.  Renderers that do not create elements check the highlighted content instead.
+   *
+   * @param {Node} container - Container element the highlight was rendered in
+   * @returns {boolean} `true` if any element is no longer contained in `container`
+   */
+  isDetached(container: Node): boolean {
+    return this.group.renderer.isDetached(this, container);
+  }
+
   isActive(): boolean {
-    // Not active if group it belongs to or itself is not enabled, has zero elements or not all of
-    // its elements have a parent node.
-    if (
-      !this.enabled ||
-      !this.group.enabled ||
-      this.elements.length < 1 ||
-      !this.elements.every((el) => el.parentNode != null)
-    ) {
+    // Not active if group it belongs to or itself is not enabled, or if it is not rendered, which
+    // renderers signal by returning no bounds.
+    if (!this.enabled || !this.group.enabled || this.elements.some((el) => el.parentNode == null)) {
       return false;
     }
 
     // A highlight is considered to be active if its first (and usually only) element possesses
     // height and width greater than 0.
-    const bbox = this.elements[0].getBoundingClientRect();
-    return bbox.height > 0 && bbox.width > 0;
+    const bounds = this.group.renderer.getBounds(this);
+    return bounds.length > 0 && bounds[0].height > 0 && bounds[0].width > 0;
   }
 
   getState(): any {
@@ -82,14 +113,21 @@ export default class Highlight extends EventEmitter {
 
   setState(state: any): void {
     this.state = state;
+    this.emit("setstate", this);
   }
 
   calculateBounds(): DOMRect {
-    const bounds: any = this.elements.map((el) => el.getBoundingClientRect());
+    const bounds: any = this.group.renderer.getBounds(this);
     return calculateBoundingRect(bounds);
   }
 
   toJSON(): HighlightJSON {
-    return this.range.computeXPath();
+    return {
+      version: SCHEMA_VERSION,
+      id: this.id,
+      range: this.range.computeXPath(),
+      state: this.state,
+      text: this.range.toString(),
+    };
   }
 }
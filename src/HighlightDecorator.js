@@ -2,17 +2,46 @@
 
 import Highlight from "./Highlight";
 
+const GROUP_CLASS_PREFIX = "dh-highlight-group-";
+
 export default class HighlightDecorator {
   decorate(elements: Array<HTMLElement>, hl: Highlight): void {
-    const groupClass = `dh-highlight-group-${hl.group.id}`;
-
     for (const el of elements) {
-      el.dataset.dhHighlightId = hl.id;
-      el.classList.add("dh-highlight", groupClass);
+      this.decorateSegment(el, [hl]);
+    }
+  }
 
-      if (hl.enabled) el.classList.remove("dh-disabled");
-      else el.classList.add("dh-disabled");
+  /**
+   * Decorate an element covered by one or more highlights
+   *
+   * The element carries the identifiers of all highlights covering it, in the order given, in its
+   * `data-dh-highlight-id` attribute and the class of the group of each.  The `data-dh-groups`
+   * attribute lists the sorted identifiers of the groups of the highlights enabled, so that every
+   * combination of overlapping groups is styled the same regardless of the order in which the
+   * highlights were created.  Elements covered by more than one highlight enabled carry the
+   * `dh-highlight-overlap` class, and elements covered by no highlight enabled the `dh-disabled`
+   * class.
+   *
+   * @param {HTMLElement} el - Element to decorate
+   * @param {Array<Highlight>} highlights - Highlights covering the element
+   */
+  decorateSegment(el: HTMLElement, highlights: Array<Highlight>): void {
+    const enabled = highlights.filter((hl) => hl.enabled);
+    const groupClasses = new Set(highlights.map((hl) => GROUP_CLASS_PREFIX + hl.group.id));
+
+    el.dataset.dhHighlightId = highlights.map((hl) => hl.id).join(" ");
+    el.dataset.dhGroups = Array.from(new Set(enabled.map((hl) => hl.group.id)))
+      .sort()
+      .join(" ");
+
+    // Remove the classes of groups no longer covering the element.
+    for (const cl of Array.from(el.classList)) {
+      if (cl.startsWith(GROUP_CLASS_PREFIX) && !groupClasses.has(cl)) el.classList.remove(cl);
     }
+
+    el.classList.add("dh-highlight", ...groupClasses);
+    el.classList.toggle("dh-highlight-overlap", enabled.length > 1);
+    el.classList.toggle("dh-disabled", enabled.length < 1);
   }
 
   setActive(hl: Highlight): void {
@@ -5,28 +5,70 @@ import type { RangeDescriptor } from "./TextRange";
 import TextNodeVisitor from "./TextNodeVisitor";
 import HighlightDecorator from "./HighlightDecorator";
 import Highlight from "./Highlight";
+import type { IHighlightRenderer } from "./interfaces";
+import { containsComposed, isShadowRoot } from "./dom";
 
 /**
  * Return boolean value indicative of whether a given node is a highlight container
  * @access private
  *
+ * Only highlight containers stamped with the signature of a given `DonHighlights` instance are
+ * recognised, so that elements of other instances, or of the document itself, that happen to carry
+ * the `data-dh-highlight` attribute are not mistaken for them.
+ *
  * @param {Node | Element | EventTarget} node - DOM node or element to check
+ * @param {?string} signature - Signature of the instance, or `null` to recognise none
  * @returns {boolean} `true` if it is a highlight container
  */
-export function isHighlight(node: Node | Element | EventTarget): boolean {
-  // This is potentially problematic if the document uses a data attribute of the same name.  We
-  // should introduce some sort of signature that is randomly generated by the parent DOM
-  // Highlighter instance and which all highlight elements are expected to carry.
-  return node.nodeType === 1 && (node: any).dataset.dhHighlight === "true";
+export function isHighlight(node: Node | Element | EventTarget, signature: ?string): boolean {
+  return signature != null && node.nodeType === 1 && (node: any).dataset.dhHighlight === signature;
+}
+
+/**
+ * Create a DOM range over the text of a text node
+ * @access private
+ *
+ * @param {Node} node - Text node
+ * @param {number} start - Start offset
+ * @param {number | null} end - Exclusive end offset, or `null` for the end of the text node
+ * @returns {Range} DOM range
+ */
+function createRange(node: Node, start: number, end: number | null): Range {
+  // Ranges inside frames must be created by the frame's own document.
+  const range = (node.ownerDocument: any).createRange();
+  range.setStart(node, start);
+  range.setEnd(node, end == null ? node.nodeValue.length : end);
+  return range;
 }
 
-export default class HighlightRenderer {
+/**
+ * Class responsible for rendering highlights by wrapping their text in elements
+ *
+ * Text nodes are split where highlights start and end, and the text nodes highlighted are wrapped
+ * in `span` elements that the decorator styles.  This mutates the DOM, which breaks pages that hold
+ * on to references to the text nodes split.  Text nodes split are joined back together once the
+ * highlights that split them are removed.
+ */
+export default class HighlightRenderer implements IHighlightRenderer {
   content: TextContent;
   decorator: HighlightDecorator;
+  // CSS injected into shadow roots that highlights are rendered in, since the document's style
+  // sheets do not apply inside shadow trees.
+  shadowStyles: ?string;
+  // CSS injected into the documents of frames that highlights are rendered in, for the same reason.
+  frameStyles: ?string;
+  // Style elements injected, by the shadow root or frame document head they were injected into.
+  styled: Map<Node, HTMLElement>;
+  // Highlights covering every highlight element rendered, in the order they were rendered.
+  segments: Map<HTMLElement, Array<Highlight>>;
 
   constructor(content: TextContent, decorator: HighlightDecorator) {
     this.content = content;
     this.decorator = decorator;
+    this.segments = new Map();
+    this.shadowStyles = null;
+    this.frameStyles = null;
+    this.styled = new Map();
   }
 
   /**
@@ -35,71 +77,226 @@ export default class HighlightRenderer {
    * Highlights a given range by wrapping one or more text nodes with a `span` tag and applying a
    * particular CSS class.
    *
-   * @param {string} className - The CSS class name to apply
+   * Highlight elements are never nested.  Text already highlighted is split into segments where the
+   * new highlight starts and ends instead, and the segments covered by the new highlight are shared
+   * by all highlights covering them.  The ranges of highlights whose segments were split are updated
+   * to refer to the text nodes produced.
+   *
+   * @param {Highlight} highlight - Highlight to render
+   * @returns {Array<HTMLElement>} Highlight elements, in document order
    */
   surround(highlight: Highlight): Array<HTMLElement> {
     const { start: rangeStart, end: rangeEnd } = highlight.range;
-    let elements = [];
+    const elements = [];
     if (rangeStart.marker.node === rangeEnd.marker.node) {
       // Optimised case: highlighting does not span multiple nodes
-      elements.push(this._surround(rangeStart, rangeStart.offset, rangeEnd.offset));
+      elements.push(this._surround(highlight, rangeStart, rangeStart.offset, rangeEnd.offset));
     } else {
       // Highlighting spans 2 or more nodes, which means we need to build a representation of all the
       // text nodes contained in the start to end range, but excluding the start and end nodes
-      const visitor = new TextNodeVisitor(rangeStart.marker.node, this.content.root);
-      const end = rangeEnd.marker.node;
-      const coll = [];
-      // TODO: we assume `visitor.next()' will never return null because `end´ is within bounds
-      while (visitor.next() !== end) {
-        coll.push((visitor.current: any));
-      }
+      const coll = this.textNodesBetween_(highlight);
 
       // Apply highlighting to start and end nodes, and to any nodes in between, if applicable.
       // Highlighting for the start and end nodes may require text node truncation but not for the
       // nodes in between.
-      elements.push(this._surround(rangeStart, rangeStart.offset, null));
-      // $FlowFixMe: unclear what the error is about; array is cleaned below anyhow.
-      coll.forEach((n) => elements.push(this._surroundWhole(n)));
-      elements.push(this._surround(rangeEnd, 0, rangeEnd.offset));
+      elements.push(this._surround(highlight, rangeStart, rangeStart.offset, null));
+      coll.forEach((n) => elements.push(this._surroundWhole(highlight, n)));
+      elements.push(this._surround(highlight, rangeEnd, 0, rangeEnd.offset));
     }
 
-    elements = elements.filter(Boolean);
-    if (elements.length > 0) {
-      highlight.range.clearStartOffset();
-      // $FlowFixMe: guaranteed not to contain nulls
-      this.decorator.decorate(elements, highlight);
+    const segments: Array<HTMLElement> = (elements.filter(Boolean): any);
+    const affected = new Set();
+    for (const el of segments) {
+      for (const hl of this.segments.get(el) || []) {
+        if (hl !== highlight) affected.add(hl);
+      }
     }
-    // $FlowFixMe: guaranteed not to contain nulls
-    return elements;
+
+    this.updateRange_(highlight, segments);
+    affected.forEach((hl) => this.updateRange_(hl, hl.elements));
+    segments.forEach((el) => this.decorateSegment_(el));
+    return segments;
   }
 
   decorate(highlight: Highlight): void {
-    this.decorator.decorate(highlight.elements, highlight);
+    highlight.elements.forEach((el) => this.decorateSegment_(el));
+  }
+
+  /**
+   * Remove a highlight's elements from the DOM, leaving their contents in place
+   *
+   * Elements shared with other highlights remain in place, and adjacent elements left covered by
+   * the same highlights are merged.
+   *
+   * Text nodes split when the highlight was rendered may be joined back together where the elements
+   * separating them are gone.  Only highlights removed for good should be detached this way, since
+   * joining invalidates the markers of the text nodes joined, which the ranges of highlights to be
+   * rendered again may refer to.
+   *
+   * @param {Highlight} highlight - Highlight whose elements to remove
+   * @param {boolean} [join=false] - Whether to join text nodes split back together
+   */
+  detach(highlight: Highlight, join: boolean = false): void {
+    const shared = [];
+    const unwrapped = [];
+    for (const el of highlight.elements) {
+      const covering = (this.segments.get(el) || []).filter((hl) => hl !== highlight);
+      if (covering.length > 0) {
+        this.segments.set(el, covering);
+        this.decorateSegment_(el);
+        shared.push(el);
+        continue;
+      }
+
+      this.segments.delete(el);
+      let child;
+      while ((child = el.childNodes[0]) != null) {
+        // If the highlight element does not have a parent node, then we assume it does not exist in
+        // the DOM anymore.
+        if (el.parentNode == null) break;
+        (el.parentNode: any).insertBefore(child, el);
+        unwrapped.push(child);
+      }
+
+      el.remove();
+    }
+
+    shared.forEach((el) => this.merge_(el, join));
+    if (!join) return;
+
+    for (const node of unwrapped) {
+      // Nodes may have been joined into a preceding sibling already.
+      if (node.nodeType === 3 && node.parentNode != null) this.content.join(node);
+    }
+  }
+
+  setActive(highlight: Highlight): void {
+    this.decorator.setActive(highlight);
+  }
+
+  setInactive(highlight: Highlight): void {
+    this.decorator.setInactive(highlight);
+  }
+
+  /**
+   * Determine whether any of a highlight's elements were removed from the DOM
+   *
+   * @param {Highlight} highlight - Highlight to check
+   * @param {Node} container - Container element the highlight was rendered in
+   * @returns {boolean} `true` if any element is no longer contained in `container`
+   */
+  isDetached(highlight: Highlight, container: Node): boolean {
+    return highlight.elements.some((el) => !containsComposed(container, el));
+  }
+
+  /**
+   * Return the bounding rectangles of a highlight's elements
+   *
+   * @param {Highlight} highlight - Highlight whose bounds to return
+   * @returns {Array<DOMRect>} Bounding rectangle of every element
+   */
+  getBounds(highlight: Highlight): Array<DOMRect> {
+    return highlight.elements.map((el: any) => el.getBoundingClientRect());
+  }
+
+  /**
+   * Return the element to scroll to in order to bring a highlight into view
+   *
+   * @param {Highlight} highlight - Highlight to scroll to
+   * @returns {?HTMLElement} First element of the highlight, if any
+   */
+  getElement(highlight: Highlight): ?HTMLElement {
+    return highlight.elements.length > 0 ? highlight.elements[0] : null;
+  }
+
+  /**
+   * Release the resources held by the renderer
+   *
+   * Removes the styles injected into shadow roots and frame documents.
+   */
+  dispose(): void {
+    this.styled.forEach((style) => style.remove());
+    this.styled.clear();
   }
 
   //  Private interface
   // ----------------------------------------
+  /**
+   * Create a DOM range over the text of every text node a highlight's range spans
+   * @access private
+   *
+   * Text nodes in between the start and end nodes that only contain whitespace are skipped, as they
+   * are when wrapping text nodes in elements.  The DOM is not mutated.
+   *
+   * @param {Highlight} highlight - Highlight
+   * @returns {Array<Range>} DOM ranges, in document order
+   */
+  createRanges_(highlight: Highlight): Array<Range> {
+    const { start, end } = highlight.range;
+    if (start.marker.node === end.marker.node) {
+      return [createRange(start.marker.node, start.offset, end.offset + 1)];
+    }
+
+    const ranges = [createRange(start.marker.node, start.offset, null)];
+    for (const node of this.textNodesBetween_(highlight)) {
+      if (node.nodeValue.trim().length > 0) ranges.push(createRange(node, 0, null));
+    }
+
+    ranges.push(createRange(end.marker.node, 0, end.offset + 1));
+    return ranges;
+  }
+
+  /**
+   * Collect the text nodes between the start and end nodes of a highlight's range
+   * @access private
+   *
+   * @param {Highlight} highlight - Highlight whose range spans two or more text nodes
+   * @returns {Array<Node>} Text nodes strictly between the start and end nodes, in document order
+   */
+  textNodesBetween_(highlight: Highlight): Array<Node> {
+    const { start, end } = highlight.range;
+    const visitor = new TextNodeVisitor(
+      start.marker.node,
+      this.content.root,
+      this.content.shadow,
+      this.content.frames,
+      this.content.policy
+    );
+    const nodes = [];
+    // TODO: we assume `visitor.next()' will never return null because `end´ is within bounds
+    while (visitor.next() !== end.marker.node) {
+      nodes.push((visitor.current: any));
+    }
+
+    return nodes;
+  }
+
   /**
    * Truncate text node and apply highlighting
    *
    * Truncates text node into 2 or 3 text nodes and apply highlighting to relevant node, which is
    * always the node referenced by `descr.marker.node`.
    *
+   * @param {Highlight} highlight - Highlight to apply
    * @param {Object} descr - Start or end `Range` descriptor
    * @param {number} start - Start offset
    * @param {number | null} end - End offset
-   * @param {string} className - CSS class name to apply
    *
-   * @returns {?HTMLElement} Highlight element
+   * @returns {HTMLElement} Highlight element
    */
-  _surround(descr: RangeDescriptor, start: number, end: number | null): HTMLElement {
+  _surround(
+    highlight: Highlight,
+    descr: RangeDescriptor,
+    start: number,
+    end: number | null
+  ): HTMLElement {
     this.content.truncate(
       descr.marker,
       start,
       end == null ? descr.marker.node.nodeValue.length - 1 : end
     );
     // $FlowFixMe: always returning a highlight element
-    return this._createHighlightElement(descr.marker.node, true);
+    return this._createHighlightElement(highlight, descr.marker.node, true);
   }
 
   /**
@@ -107,31 +304,201 @@ export default class HighlightRenderer {
    *
    * No text node truncation occurs.
    *
+   * @param {Highlight} highlight - Highlight to apply
    * @param {Node} node - Text node to apply highlighting to
-   * @param {string} className - CSS class name to apply
    *
    * @returns {?HTMLElement} Highlight element
    * */
-  _surroundWhole(node: Node): ?HTMLElement {
-    return this._createHighlightElement(node);
+  _surroundWhole(highlight: Highlight, node: Node): ?HTMLElement {
+    return this._createHighlightElement(highlight, node);
   }
 
-  _createHighlightElement(node: Node, force?: boolean): ?HTMLElement {
+  _createHighlightElement(highlight: Highlight, node: Node, force?: boolean): ?HTMLElement {
     if (!force && node.nodeValue.trim().length < 1) return null;
 
-    const span = document.createElement("span");
-    // Stamp the highlight element with a data attribute that is expected to be unique to
-    // highlights produced by Don Highlights instances and which enables `XPathResolver` instances
-    // to identify highlight elements when computing the _true_ XPath representation of an
-    // arbitrary selection.  This is because it is not desirable at all for the computed XPath
-    // representation to include highlight elements created by Don Highlights.
-    //
-    // This is potentially problematic if the document uses a data attribute of the same name.  We
-    // should introduce some sort of signature that is randomly generated by the parent DOM
-    // Highlighter instance and which all highlight elements are expected to carry.
-    span.dataset.dhHighlight = "true";
+    // Text already highlighted is isolated in a segment of its own, which the highlight shares.
+    const segment = this.isolate_((node.parentNode: any), node);
+    if (segment != null) {
+      (this.segments.get(segment): any).push(highlight);
+      return segment;
+    }
+
+    const span = this.createSegment_(node, [highlight]);
     (node.parentNode: any).insertBefore(span, node);
     span.appendChild(node);
     return span;
   }
+
+  /**
+   * Create a highlight element
+   * @access private
+   *
+   * @param {Node} node - Node in whose document to create the element
+   * @param {Array<Highlight>} covering - Highlights covering the element
+   * @returns {HTMLElement} Highlight element, not inserted in the DOM
+   */
+  createSegment_(node: Node, covering: Array<Highlight>): HTMLElement {
+    // Highlight elements inside frames must be created by the frame's own document.
+    const span = (node.ownerDocument: any).createElement("span");
+    // Stamp the highlight element with the signature of the Don Highlights instance, which is
+    // randomly generated and enables `XPathResolver` instances to identify the instance's highlight
+    // elements when computing the _true_ XPath representation of an arbitrary selection.  This is
+    // because it is not desirable at all for the computed XPath representation to include
+    // highlight elements created by Don Highlights.
+    span.dataset.dhHighlight = this.content.signature || "";
+    this.segments.set(span, covering.slice());
+    this.injectStyles_(node);
+    return span;
+  }
+
+  /**
+   * Isolate a text node in a highlight element of its own
+   * @access private
+   *
+   * The text nodes of `segment` before and after `node`, if any, are moved to new highlight
+   * elements inserted before and after `segment`, respectively, which are covered by the same
+   * highlights and added to their elements.
+   *
+   * @param {HTMLElement} segment - Highlight element containing `node`
+   * @param {Node} node - Text node to isolate
+   * @returns {?HTMLElement} `segment`, now only containing `node`, or `null` if `segment` is not a
+   * highlight element of this renderer
+   */
+  isolate_(segment: HTMLElement, node: Node): ?HTMLElement {
+    const covering = this.segments.get(segment);
+    if (covering == null) return null;
+
+    const parent: any = segment.parentNode;
+    const split = (first: Node, before: boolean) => {
+      const span = this.createSegment_(node, covering);
+      parent.insertBefore(span, before ? segment : segment.nextSibling);
+      for (let it = first, next; it != null && it !== (before ? node : null); it = next) {
+        next = it.nextSibling;
+        span.appendChild(it);
+      }
+
+      for (const hl of covering) {
+        const index = hl.elements.indexOf(segment);
+        hl.elements.splice(before ? index : index + 1, 0, span);
+      }
+
+      this.decorateSegment_(span);
+    };
+
+    if (node.previousSibling != null) split((segment.firstChild: any), true);
+    if (node.nextSibling != null) split((node.nextSibling: any), false);
+    return segment;
+  }
+
+  /**
+   * Merge a highlight element with the adjacent highlight elements covered by the same highlights
+   * @access private
+   *
+   * When joining, text nodes split where the elements met are joined back together and the ranges
+   * of the highlights covering them updated.
+   *
+   * @param {HTMLElement} segment - Highlight element to merge
+   * @param {boolean} join - Whether to join text nodes split back together
+   */
+  merge_(segment: HTMLElement, join: boolean): void {
+    const covering = this.segments.get(segment);
+    if (covering == null || segment.parentNode == null) return;
+
+    const same = (el: ?Node): boolean => {
+      const other = el != null ? this.segments.get((el: any)) : null;
+      return (
+        other != null &&
+        other.length === covering.length &&
+        other.every((hl) => covering.includes(hl))
+      );
+    };
+
+    // Absorb the following element, then let the preceding element absorb this one.
+    const pairs: Array<[any, any]> = [
+      [segment, segment.nextSibling],
+      [segment.previousSibling, segment],
+    ];
+    for (const [into, from] of pairs) {
+      if (!same(into) || !same(from)) continue;
+
+      const joint = from.firstChild;
+      while (from.firstChild != null) into.appendChild(from.firstChild);
+      from.remove();
+      this.segments.delete(from);
+      for (const hl of covering) {
+        hl.elements = hl.elements.filter((el) => el !== from);
+      }
+
+      if (join && joint != null && joint.nodeType === 3) {
+        this.content.join(joint);
+        covering.forEach((hl) => this.updateRange_(hl, hl.elements));
+      }
+    }
+  }
+
+  /**
+   * Decorate a highlight element according to the highlights covering it
+   * @access private
+   *
+   * @param {HTMLElement} segment - Highlight element
+   */
+  decorateSegment_(segment: HTMLElement): void {
+    this.decorator.decorateSegment(segment, this.segments.get(segment) || []);
+  }
+
+  /**
+   * Update the range of a highlight to span its elements
+   * @access private
+   *
+   * Truncation of text nodes replaces the text nodes of a highlight's range.  The range is updated
+   * to start at the first text node of its first element and end at the last text node of its last
+   * element, which the highlight covers entirely.
+   *
+   * @param {Highlight} highlight - Highlight whose range to update
+   * @param {Array<HTMLElement>} elements - Elements of the highlight
+   */
+  updateRange_(highlight: Highlight, elements: Array<HTMLElement>): void {
+    if (elements.length < 1) return;
+
+    const first: any = elements[0].firstChild;
+    const last: any = elements[elements.length - 1].lastChild;
+    const start = this.content.nodes.get(first);
+    const end = this.content.nodes.get(last);
+    if (start == null || end == null) return;
+
+    highlight.range.start = { marker: start, offset: 0 };
+    highlight.range.end = { marker: end, offset: last.nodeValue.length - 1 };
+  }
+
+  /**
+   * Inject styles into the shadow root or frame document a node is rendered in, if any
+   * @access private
+   *
+   * Styles are only injected once per shadow root, at the end of the shadow root so as not to
+   * affect the XPath representation of its content, and once per frame document, in its head.  The
+   * style elements injected are recorded so they can be removed when the renderer is disposed of.
+   *
+   * @param {Node} el - Highlight element or highlighted node
+   */
+  injectStyles_(el: Node): void {
+    const root: any = el.getRootNode();
+    let styles, parent;
+    if (isShadowRoot(root)) {
+      styles = this.shadowStyles;
+      parent = root;
+    } else if (root !== this.content.root.ownerDocument && root.nodeType === Node.DOCUMENT_NODE) {
+      styles = this.frameStyles;
+      parent = root.head;
+    }
+
+    if (styles == null || parent == null || this.styled.has(parent)) {
+      return;
+    }
+
+    const style = (el.ownerDocument: any).createElement("style");
+    style.dataset.dhStyles = "true";
+    style.textContent = styles;
+    parent.appendChild(style);
+    this.styled.set(parent, style);
+  }
 }
@@ -0,0 +1,101 @@
+// @flow
+
+import type { SnapshotJSON } from "./DonHighlights";
+import type { IHighlightStorage } from "./interfaces";
+
+/**
+ * Storage adapter that keeps snapshots in an IndexedDB object store
+ *
+ * The database is opened, and created if needed, on first use.  Snapshots are stored as
+ * structured-cloned objects keyed by the storage key.
+ *
+ * @param {string} [name="don-highlights"] - Name of database
+ * @param {string} [storeName="snapshots"] - Name of object store
+ */
+export default class IndexedDBStorage implements IHighlightStorage {
+  name: string;
+  storeName: string;
+  db: ?Promise<IDBDatabase>;
+
+  constructor(name: string = "don-highlights", storeName: string = "snapshots") {
+    this.name = name;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  /**
+   * Close the database, if open
+   */
+  close(): void {
+    const db = this.db;
+    this.db = null;
+    if (db != null) db.then((d) => d.close()).catch(() => {});
+  }
+
+  load(key: string): Promise<?SnapshotJSON> {
+    return this.request_("readonly", (store) => store.get(key)).then((result) =>
+      result == null ? null : result
+    );
+  }
+
+  save(key: string, snapshot: SnapshotJSON): Promise<void> {
+    return this.request_("readwrite", (store) => store.put(snapshot, key)).then(() => undefined);
+  }
+
+  remove(key: string): Promise<void> {
+    return this.request_("readwrite", (store) => store.delete(key)).then(() => undefined);
+  }
+
+  //  Private interface
+  // ----------------------------------------
+  /**
+   * Open the database, creating the object store if needed
+   * @access private
+   *
+   * @returns {Promise<IDBDatabase>} Promise resolving to the open database
+   */
+  open_(): Promise<IDBDatabase> {
+    if (this.db != null) return this.db;
+
+    const db = new Promise((resolve, reject) => {
+      const factory: ?IDBFactory = (window: any).indexedDB;
+      if (factory == null) {
+        throw new Error("IndexedDB not available");
+      }
+
+      const request: any = factory.open(this.name, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow the next call to retry if the database fails to open.
+    db.catch(() => {
+      if (this.db === db) this.db = null;
+    });
+
+    return (this.db = db);
+  }
+
+  /**
+   * Carry out a request in a transaction on the object store
+   * @access private
+   *
+   * @param {string} mode - Transaction mode
+   * @param {Function} fn - Function that issues the request on the object store
+   *
+   * @returns {Promise<any>} Promise resolving to the result of the request
+   */
+  request_(mode: "readonly" | "readwrite", fn: (IDBObjectStore) => IDBRequest): Promise<any> {
+    return this.open_().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction(this.storeName, mode);
+          const request = fn(tx.objectStore(this.storeName));
+          tx.oncomplete = () => resolve(request.result);
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        })
+    );
+  }
+}
@@ -0,0 +1,33 @@
+// @flow
+
+import type { SnapshotJSON } from "./DonHighlights";
+import type { IHighlightStorage } from "./interfaces";
+
+/**
+ * Storage adapter that keeps snapshots in memory
+ *
+ * Snapshots are stored in their JSON-encoded form so that, as with persistent adapters, loading a
+ * snapshot never returns an object that is shared with the caller that saved it.
+ */
+export default class MemoryStorage implements IHighlightStorage {
+  items: Map<string, string>;
+
+  constructor() {
+    this.items = new Map();
+  }
+
+  load(key: string): Promise<?SnapshotJSON> {
+    const item = this.items.get(key);
+    return Promise.resolve(item == null ? null : JSON.parse(item));
+  }
+
+  save(key: string, snapshot: SnapshotJSON): Promise<void> {
+    this.items.set(key, JSON.stringify(snapshot));
+    return Promise.resolve();
+  }
+
+  remove(key: string): Promise<void> {
+    this.items.delete(key);
+    return Promise.resolve();
+  }
+}
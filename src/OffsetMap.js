@@ -0,0 +1,207 @@
+// @flow
+
+/**
+ * Class responsible for mapping offsets between a text and a text derived from it
+ *
+ * Every character of the derived text is produced from a span of characters of the source text,
+ * which is empty for characters that are inserted, such as separators.  Characters of the source
+ * text that produce no derived characters are removed.  Offsets of the derived text map to the
+ * start or end of the source span they were produced from, and offsets of the source text map to
+ * the first derived character produced from them or, if removed, produced after them.
+ *
+ * Maps are built by way of the `keep`, `insert`, `replace` and `remove` methods, which must be
+ * invoked in source order, and `end`.
+ */
+export default class OffsetMap {
+  text: string;
+  sourceLength: number;
+  // Start and (inclusive) end source offsets of every derived character.
+  starts: Array<number>;
+  ends: Array<number>;
+  // Derived offset of every source character, followed by the length of the derived text.
+  offsets: Array<number>;
+  // Whether the map maps a text to itself, in which case offsets are not recorded.
+  identity_: boolean;
+  source_: number;
+
+  /**
+   * Create a map of a text to itself
+   *
+   * @param {string} text - Text
+   * @returns {OffsetMap} Identity map
+   */
+  static identity(text: string): OffsetMap {
+    const map = new OffsetMap();
+    map.text = text;
+    map.sourceLength = map.source_ = text.length;
+    map.identity_ = true;
+    return map;
+  }
+
+  constructor() {
+    this.text = "";
+    this.sourceLength = 0;
+    this.starts = [];
+    this.ends = [];
+    this.offsets = [];
+    this.identity_ = false;
+    this.source_ = 0;
+  }
+
+  /**
+   * Copy source characters to the derived text unchanged
+   *
+   * @param {string} text - Source characters
+   * @returns {OffsetMap} This map
+   */
+  keep(text: string): OffsetMap {
+    for (let i = 0; i < text.length; ++i) {
+      this.offsets.push(this.text.length + i);
+      this.starts.push(this.source_ + i);
+      this.ends.push(this.source_ + i);
+    }
+
+    this.text += text;
+    this.source_ += text.length;
+    return this;
+  }
+
+  /**
+   * Insert characters into the derived text that are not produced from any source character
+   *
+   * @param {string} text - Characters to insert
+   * @returns {OffsetMap} This map
+   */
+  insert(text: string): OffsetMap {
+    for (let i = 0; i < text.length; ++i) {
+      this.starts.push(this.source_);
+      this.ends.push(this.source_ - 1);
+    }
+
+    this.text += text;
+    return this;
+  }
+
+  /**
+   * Replace a number of source characters by characters of the derived text
+   *
+   * Every derived character maps to the whole span of source characters replaced.
+   *
+   * @param {number} length - Number of source characters to replace
+   * @param {string} text - Replacement characters, which may be empty
+   * @returns {OffsetMap} This map
+   */
+  replace(length: number, text: string): OffsetMap {
+    if (text.length < 1) {
+      return this.remove(length);
+    }
+
+    for (let i = 0; i < length; ++i) {
+      this.offsets.push(this.text.length);
+    }
+
+    for (let i = 0; i < text.length; ++i) {
+      this.starts.push(this.source_);
+      this.ends.push(this.source_ + length - 1);
+    }
+
+    this.text += text;
+    this.source_ += length;
+    return this;
+  }
+
+  /**
+   * Remove a number of source characters from the derived text
+   *
+   * @param {number} length - Number of source characters to remove
+   * @returns {OffsetMap} This map
+   */
+  remove(length: number): OffsetMap {
+    for (let i = 0; i < length; ++i) {
+      this.offsets.push(this.text.length);
+    }
+
+    this.source_ += length;
+    return this;
+  }
+
+  /**
+   * Finish building the map
+   *
+   * @returns {OffsetMap} This map
+   */
+  end(): OffsetMap {
+    this.sourceLength = this.source_;
+    this.offsets.push(this.text.length);
+    return this;
+  }
+
+  /**
+   * Return the source offset a derived offset starts at
+   *
+   * @param {number} offset - Derived offset
+   * @returns {number} Source offset, or the length of the source text if `offset` is past the end
+   */
+  toSource(offset: number): number {
+    if (offset >= this.text.length) {
+      return this.sourceLength;
+    }
+
+    return this.identity_ ? offset : this.starts[offset];
+  }
+
+  /**
+   * Return the source offset a derived offset ends at
+   *
+   * @param {number} offset - Derived offset
+   * @returns {number} Inclusive source offset, or -1 if `offset` is before the start
+   */
+  toSourceEnd(offset: number): number {
+    if (offset < 0) {
+      return -1;
+    }
+
+    if (offset >= this.text.length) {
+      return this.sourceLength - 1;
+    }
+
+    return this.identity_ ? offset : this.ends[offset];
+  }
+
+  /**
+   * Return the derived offset of a source offset
+   *
+   * @param {number} offset - Source offset
+   * @returns {number} Derived offset, or the length of the derived text if `offset` is past the end
+   */
+  fromSource(offset: number): number {
+    if (offset >= this.sourceLength) {
+      return this.text.length;
+    }
+
+    offset = Math.max(0, offset);
+    return this.identity_ ? offset : this.offsets[offset];
+  }
+
+  /**
+   * Compose this map with a map of the text derived by this map
+   *
+   * @param {OffsetMap} next - Map whose source text is the text derived by this map
+   * @returns {OffsetMap} Map of this map's source text to the text derived by `next`
+   */
+  compose(next: OffsetMap): OffsetMap {
+    const map = new OffsetMap();
+    map.text = next.text;
+    map.sourceLength = map.source_ = this.sourceLength;
+    for (let i = 0; i < next.text.length; ++i) {
+      map.starts.push(this.toSource(next.toSource(i)));
+      map.ends.push(this.toSourceEnd(next.toSourceEnd(i)));
+    }
+
+    for (let i = 0; i <= this.sourceLength; ++i) {
+      map.offsets.push(next.fromSource(this.fromSource(i)));
+    }
+
+    return map;
+  }
+}
@@ -0,0 +1,278 @@
+// @flow
+
+import HighlightRenderer from "./HighlightRenderer";
+import TextContent from "./TextContent";
+import HighlightDecorator from "./HighlightDecorator";
+import Highlight from "./Highlight";
+import { containsComposed } from "./dom";
+
+const LAYOUT_DELAY = 1000 / 60;
+
+// Layer of overlay boxes of a document, and the observers of its layout.
+type Layer = {|
+  element: HTMLElement,
+  mutations: MutationObserver,
+  resizes: ?ResizeObserver,
+|};
+
+/**
+ * Class responsible for rendering highlights as overlay boxes
+ *
+ * Rather than wrapping text nodes in elements, a DOM `Range` is created for every text node a
+ * highlight spans and an absolutely positioned box is drawn over every rectangle the ranges occupy,
+ * as returned by `Range.getClientRects`.  Boxes are placed in a layer appended to the body of the
+ * document the text nodes belong to, which is marked with the `data-dh-overlay` and
+ * `data-dh-ignore` attributes so that it is excluded from the text content.  The DOM of the
+ * content is therefore never mutated.
+ *
+ * Boxes are the highlight's elements and are decorated by the decorator, like the elements created
+ * by `HighlightRenderer`.  Since boxes sit on top of the content, they should be styled with a
+ * translucent background or a blend mode so as not to hide the text under them.
+ *
+ * Boxes are laid out anew shortly after the document is scrolled or resized, or its content
+ * mutates, and when `layout` is invoked.
+ */
+export default class OverlayRenderer extends HighlightRenderer {
+  // DOM ranges of every highlight rendered.
+  ranges: Map<Highlight, Array<Range>>;
+  layers: Map<Document, Layer>;
+  active: ?Highlight;
+  timerID: ?TimeoutID;
+  schedule_: () => void;
+
+  constructor(content: TextContent, decorator: HighlightDecorator) {
+    super(content, decorator);
+    this.ranges = new Map();
+    this.layers = new Map();
+    this.active = null;
+    this.timerID = null;
+    this.schedule_ = () => this.schedule();
+  }
+
+  /**
+   * Highlight a range
+   *
+   * Creates a DOM range for every text node the highlight's range spans and draws boxes over them.
+   *
+   * @param {Highlight} highlight - Highlight to render
+   * @returns {Array<HTMLElement>} Boxes drawn
+   */
+  surround(highlight: Highlight): Array<HTMLElement> {
+    this.ranges.set(highlight, this.createRanges_(highlight));
+    return this.layout_(highlight, []);
+  }
+
+  // Boxes are not segments shared by highlights, so they are decorated for their highlight alone.
+  decorate(highlight: Highlight): void {
+    this.decorator.decorate(highlight.elements, highlight);
+  }
+
+  detach(highlight: Highlight): void {
+    for (const el of highlight.elements) {
+      el.remove();
+    }
+
+    this.ranges.delete(highlight);
+    if (this.active === highlight) this.active = null;
+
+    // Remove layers left empty.
+    for (const [doc, layer] of Array.from(this.layers)) {
+      if (layer.element.childNodes.length < 1) this.removeLayer_(doc);
+    }
+  }
+
+  setActive(highlight: Highlight): void {
+    this.active = highlight;
+    super.setActive(highlight);
+  }
+
+  setInactive(highlight: Highlight): void {
+    if (this.active === highlight) this.active = null;
+    super.setInactive(highlight);
+  }
+
+  /**
+   * Determine whether any of the text nodes a highlight spans were removed from the DOM
+   *
+   * The boundaries of a DOM range move to the parent of a text node removed from the DOM, which
+   * collapses the range.
+   *
+   * @param {Highlight} highlight - Highlight to check
+   * @param {Node} container - Container element the highlight was rendered in
+   * @returns {boolean} `true` if any range collapsed or is no longer contained in `container`
+   */
+  isDetached(highlight: Highlight, container: Node): boolean {
+    return (this.ranges.get(highlight) || []).some(
+      (range) => range.collapsed || !containsComposed(container, range.startContainer)
+    );
+  }
+
+  dispose(): void {
+    if (this.timerID != null) {
+      clearTimeout(this.timerID);
+      this.timerID = null;
+    }
+
+    for (const doc of Array.from(this.layers.keys())) {
+      this.removeLayer_(doc);
+    }
+
+    this.ranges.clear();
+    this.active = null;
+    super.dispose();
+  }
+
+  /**
+   * Lay out the boxes of every highlight anew
+   *
+   * Must be invoked when the layout changes in ways that are not noticed automatically, such as
+   * when content is scrolled by way of CSS transforms.
+   */
+  layout(): void {
+    for (const highlight of Array.from(this.ranges.keys())) {
+      highlight.elements = this.layout_(highlight, highlight.elements);
+    }
+  }
+
+  /**
+   * Schedule laying out boxes anew, unless already scheduled
+   *
+   * Scroll and resize events fire continuously, so boxes are laid out at most once every frame
+   * rather than once they stop firing.
+   */
+  schedule(): void {
+    if (this.timerID != null) return;
+    this.timerID = setTimeout(() => {
+      this.timerID = null;
+      this.layout();
+    }, LAYOUT_DELAY);
+  }
+
+  //  Private interface
+  // ----------------------------------------
+  /**
+   * Draw the boxes of a highlight
+   * @access private
+   *
+   * Boxes already drawn are moved or removed and new boxes drawn as needed, and all are decorated.
+   *
+   * @param {Highlight} highlight - Highlight whose boxes to draw
+   * @param {Array<HTMLElement>} boxes - Boxes drawn previously
+   * @returns {Array<HTMLElement>} Boxes drawn
+   */
+  layout_(highlight: Highlight, boxes: Array<HTMLElement>): Array<HTMLElement> {
+    const drawn = [];
+    for (const range of this.ranges.get(highlight) || []) {
+      const doc: Document = (range.startContainer: any).ownerDocument;
+      const layer = this.layerOf_(doc).element;
+      const origin = layer.getBoundingClientRect();
+      for (const rect of Array.from((range: any).getClientRects())) {
+        // Empty rectangles are produced at line boundaries.
+        if (rect.width <= 0 || rect.height <= 0) continue;
+
+        let box = boxes[drawn.length];
+        if (box == null || box.parentNode !== layer) {
+          box = (doc.createElement("div"): any);
+          box.dataset.dhHighlight = this.content.signature || "";
+          layer.appendChild(box);
+        }
+
+        Object.assign(box.style, {
+          position: "absolute",
+          left: `${rect.left - origin.left}px`,
+          top: `${rect.top - origin.top}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`,
+        });
+        drawn.push(box);
+      }
+    }
+
+    boxes.filter((box) => !drawn.includes(box)).forEach((box) => box.remove());
+    this.decorator.decorate(drawn, highlight);
+    if (this.active === highlight) {
+      highlight.elements = drawn;
+      this.decorator.setActive(highlight);
+    }
+
+    return drawn;
+  }
+
+  /**
+   * Return the layer of a document, creating it if it does not exist yet
+   * @access private
+   *
+   * The layout of the document is observed from the moment its layer is created.
+   *
+   * @param {Document} doc - Document
+   * @returns {Layer} Layer of the document
+   */
+  layerOf_(doc: Document): Layer {
+    const existing = this.layers.get(doc);
+    if (existing != null) return existing;
+
+    const element: HTMLElement = (doc.createElement("div"): any);
+    element.dataset.dhOverlay = "true";
+    element.dataset.dhIgnore = "true";
+    Object.assign(element.style, {
+      position: "absolute",
+      left: "0",
+      top: "0",
+      width: "0",
+      height: "0",
+      overflow: "visible",
+      pointerEvents: "none",
+    });
+    (doc.body: any).appendChild(element);
+    this.injectStyles_(element);
+
+    // Mutations of the layer itself, such as decorating boxes, do not affect the layout.
+    const win: any = doc.defaultView;
+    const mutations = new win.MutationObserver((records) => {
+      if (records.some((r) => !element.contains(r.target))) this.schedule();
+    });
+    mutations.observe(doc.body, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+    });
+
+    let resizes = null;
+    if (typeof win.ResizeObserver === "function") {
+      resizes = new win.ResizeObserver(this.schedule_);
+      resizes.observe(doc.body);
+    }
+
+    // Scroll events do not bubble, but are captured from any scrolling element.
+    win.addEventListener("scroll", this.schedule_, true);
+    win.addEventListener("resize", this.schedule_);
+
+    const layer = { element, mutations, resizes };
+    this.layers.set(doc, layer);
+    return layer;
+  }
+
+  /**
+   * Remove the layer of a document and stop observing its layout
+   * @access private
+   *
+   * @param {Document} doc - Document
+   */
+  removeLayer_(doc: Document): void {
+    const layer = this.layers.get(doc);
+    if (layer == null) return;
+
+    layer.mutations.disconnect();
+    if (layer.resizes != null) layer.resizes.disconnect();
+
+    const win: any = doc.defaultView;
+    if (win != null) {
+      win.removeEventListener("scroll", this.schedule_, true);
+      win.removeEventListener("resize", this.schedule_);
+    }
+
+    layer.element.remove();
+    this.layers.delete(doc);
+  }
+}
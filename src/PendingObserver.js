@@ -0,0 +1,78 @@
+// @flow
+
+import DonHighlights from "./DonHighlights";
+
+const RETRY_DELAY = 1000 / 60;
+
+/**
+ * Class responsible for anchoring pending highlights as content is added to the DOM
+ *
+ * Infinite scrolling and lazy loading cause content to be added to the container long after
+ * highlights are restored.  This class observes the container of a `DonHighlights` instance for
+ * added nodes while highlights are pending and, shortly after, attempts to anchor them anew, which
+ * causes an `anchored` event to be emitted for every highlight anchored.
+ */
+export default class PendingObserver {
+  instance: DonHighlights;
+  observer: MutationObserver;
+  timerID: ?TimeoutID;
+
+  /**
+   * Class constructor
+   *
+   * @param {DonHighlights} instance - Highlighter instance whose pending highlights to anchor
+   */
+  constructor(instance: DonHighlights) {
+    this.instance = instance;
+    this.timerID = null;
+    this.observer = new MutationObserver((records) => {
+      if (instance.pending().length > 0 && records.some((r) => r.addedNodes.length > 0)) {
+        this.schedule();
+      }
+    });
+    this.observe();
+  }
+
+  dispose(): void {
+    this.observer.disconnect();
+    if (this.timerID != null) {
+      clearTimeout(this.timerID);
+      this.timerID = null;
+    }
+  }
+
+  /**
+   * Start observing the instance's container element
+   *
+   * Observation starts upon construction.  Must be invoked again when the container changes.
+   */
+  observe(): void {
+    this.observer.disconnect();
+    this.observer.observe(this.instance.container, { childList: true, subtree: true });
+  }
+
+  /**
+   * Schedule an attempt to anchor pending highlights, postponing any attempt already scheduled
+   */
+  schedule(): void {
+    if (this.timerID != null) clearTimeout(this.timerID);
+    this.timerID = setTimeout(() => {
+      this.timerID = null;
+      this.retry();
+    }, RETRY_DELAY);
+  }
+
+  /**
+   * Attempt to anchor pending highlights
+   */
+  retry(): void {
+    const { instance } = this;
+    // The text content is necessarily stale unless it is kept up to date in live mode.  Refreshing
+    // it attempts to anchor pending highlights too.
+    if (instance.observer == null) {
+      instance.refresh();
+    } else {
+      instance.anchorPending();
+    }
+  }
+}
@@ -0,0 +1,137 @@
+// @flow
+
+import type { FinderOptions, SelectorRange } from "./typedefs";
+import TextContent from "./TextContent";
+import Finder from "./Finder";
+import type { ResolvedRange } from "./Finder";
+import SelectorResolver from "./SelectorResolver";
+import TextRange from "./TextRange";
+import AnchorError from "./AnchorError";
+
+/**
+ * Class responsible for locating text in a `TextContent` instance from a CSS selector
+ * representation and start and end offsets.
+ */
+export default class SelectorFinder extends Finder {
+  /**
+   * Determine if given value is of type accepted by the `SelectorFinder` class
+   *
+   * This method determines if a given value can be used to instantiate a `SelectorFinder` class.
+   *
+   * @param {any} value - Value to determine
+   * @returns {boolean} `true` if value can be used to instantiate a `SelectorFinder` class
+   */
+  static isQuery(value: any): boolean {
+    return (
+      typeof value === "object" &&
+      value != null &&
+      value.start != null &&
+      value.end != null &&
+      typeof value.start.selector === "string" &&
+      typeof value.end.selector === "string"
+    );
+  }
+
+  /**
+   * Class constructor
+   *
+   * As with `XPathFinder`, an approximate match of the text the range is expected to contain is
+   * attempted if the range does not resolve and the `fuzzy` option is specified, and the text
+   * the range resolves to is verified if the `verify` option is specified.
+   *
+   * @param {TextContent} content - Reference to `TextContent` instance
+   * @param {SelectorRange} subject - Descriptor containing a CSS selector representation with start
+   * and end offsets.
+   * @param {FinderOptions} [options={}] - Finder options
+   */
+  constructor(content: TextContent, subject: SelectorRange, options: FinderOptions = {}) {
+    super(content);
+
+    let result;
+    try {
+      result = this.resolve_(subject);
+      if (options.verify != null) result = this.verify_(result, options.verify);
+    } catch (x) {
+      if (options.fuzzy == null) throw x;
+
+      result = this.approximate_(options.fuzzy);
+      if (result == null) throw x;
+    }
+
+    this.results.push(result);
+  }
+
+  /**
+   * Return next available match
+   *
+   * @returns {TextRange | null} Returns a `TextRange` if a match is available, or `null` if no
+   * more matches are available.
+   */
+  next(): ?TextRange {
+    if (this.current >= this.results.length) {
+      return null;
+    }
+
+    const subject = this.results[this.current];
+    ++this.current;
+
+    const range = new TextRange(this.content, this.getAt_(subject.start), this.getAt_(subject.end));
+    range.confidence = subject.confidence;
+    range.drifted = subject.drifted === true;
+    return range;
+  }
+
+  //  Private interface
+  // ----------------------------------------
+  /**
+   * Resolve a selector range to global start and end character offsets
+   *
+   * Throws an `AnchorError` if the range does not resolve.
+   * @access private
+   *
+   * @param {SelectorRange} subject - Selector range to resolve
+   * @returns {Object} Descriptor containing the global start and (inclusive) end offsets
+   */
+  resolve_(subject: SelectorRange): ResolvedRange {
+    const content = this.content;
+    if (subject.start.offset < 0 || subject.end.offset < 0) {
+      throw new Error("Invalid or no selector range specified");
+    }
+
+    const resolver = new SelectorResolver(content.root, content.policy, content.signature);
+    const startNode = resolver.textAt(subject.start);
+    if (startNode == null) {
+      throw new AnchorError(
+        "missing-element",
+        `Unable to locate start element: ${subject.start.selector}`
+      );
+    }
+
+    const endNode = resolver.textAt(subject.end);
+    if (endNode == null) {
+      throw new AnchorError(
+        "missing-element",
+        `Unable to locate end element: ${subject.end.selector}`
+      );
+    }
+
+    const startIndex = content.find(startNode);
+    const endIndex = content.find(endNode);
+    if (startIndex < 0 || endIndex < 0) {
+      throw new AnchorError("missing-element", "Unable to translate selector range");
+    }
+
+    const start = content.at(startIndex).offset + subject.start.offset;
+    const end = content.at(endIndex).offset + subject.end.offset - 1;
+    if (start > end) {
+      throw new AnchorError("offset-overflow", "Invalid selector representation: start > end");
+    } else if (end >= content.text.length) {
+      throw new AnchorError(
+        "offset-overflow",
+        "Invalid selector representation: end offset overflow"
+      );
+    }
+
+    return { start, end, confidence: 1 };
+  }
+}
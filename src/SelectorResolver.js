@@ -0,0 +1,180 @@
+// @flow
+
+import type { SelectorBoundary } from "./typedefs";
+import { isHighlight } from "./HighlightRenderer";
+import XPathResolver from "./XPathResolver";
+import { isFrameBody, isShadowRoot } from "./dom";
+
+// Matches identifiers that can be used in an ID selector verbatim, without escaping.
+const SAFE_ID = /^[A-Za-z_][\w-]*$/;
+const NTH_OF_TYPE = /^([a-z][a-z0-9-]*):nth-of-type\((\d+)\)$/i;
+const SCOPE = ":scope";
+
+/**
+ * This class builds CSS selector representations of text nodes, optionally within a sub-tree.
+ *
+ * A text node is represented by the selector of its parent element, the (1-based) index of the
+ * text node amongst its siblings and an offset into it, all of which are fully normalised and thus
+ * unaffected by text node fragmentation caused by the presence of highlight containers, much like
+ * XPath representations are.
+ *
+ * Selectors are anchored at the nearest ancestor that has an `id` attribute, if any, and otherwise
+ * at the root node, with structural `:nth-of-type` selectors used for every element in between.
+ * For instance:
+ *
+ * ```
+ * #content > p:nth-of-type(3) > a:nth-of-type(1)
+ * ```
+ *
+ * Anchoring at an ancestor with an `id` attribute produces shorter selectors that are unaffected
+ * by changes to the document outside of said ancestor.
+ *
+ * @param {DOMElement} root - Root DOM node
+ */
+export default class SelectorResolver extends XPathResolver {
+  /**
+   * Compute the selector representation of a text node
+   *
+   * Throws an exception if `node` is <strong>not</strong> a text node.
+   *
+   * @param {Node} node - Text node to compute selector representation of
+   * @param {number} offset - Offset into the text node
+   *
+   * @returns {SelectorBoundary} Selector representation
+   */
+  boundaryOf(node: Node, offset: number): SelectorBoundary {
+    if (node.nodeType !== 3) {
+      throw new Error("Invalid or no text node specified");
+    }
+
+    const index = this.indexOfText_(node);
+    offset += this.offset(node);
+
+    // Skip all text or highlight container nodes
+    let parent: any = node.parentNode;
+    while (parent != null && parent !== this.root && isHighlight(parent, this.signature)) {
+      parent = parent.parentNode;
+    }
+
+    if (parent == null) {
+      throw new Error("Specified node not within root's subtree");
+    }
+
+    return { selector: this.selectorOf(parent), index, offset };
+  }
+
+  /**
+   * Compute the selector representation of an element
+   *
+   * The selector produced is relative to the root node, which is represented by `:scope`.
+   *
+   * @param {Node} node - Element to compute selector representation of
+   * @returns {string} Selector representation
+   */
+  selectorOf(node: Node): string {
+    const steps = [];
+
+    for (; node != null && node !== this.root; node = (node: any).parentNode) {
+      if (isShadowRoot(node)) {
+        throw new Error("Selector representations cannot cross shadow boundaries");
+      } else if (isFrameBody(node)) {
+        throw new Error("Selector representations cannot cross frame boundaries");
+      } else if (node.nodeType !== 1) {
+        throw new Error("Specified node not within root's subtree");
+      }
+
+      const id = (node: any).id;
+      if (typeof id === "string" && SAFE_ID.test(id) && this.byId_(id) === node) {
+        steps.push("#" + id);
+        return steps.reverse().join(" > ");
+      }
+
+      steps.push(`${node.nodeName.toLowerCase()}:nth-of-type(${this.indexOfElement_(node)})`);
+    }
+
+    if (node == null) {
+      throw new Error("Specified node not within root's subtree");
+    }
+
+    steps.push(SCOPE);
+    return steps.reverse().join(" > ");
+  }
+
+  /**
+   * Compute text node referenced by a selector representation
+   *
+   * @param {SelectorBoundary} boundary - Selector representation of text node
+   * @returns {Node | null} The text node referenced or `null` if not found
+   */
+  textAt(boundary: SelectorBoundary): Node | null {
+    const element = this.elementOf(boundary.selector);
+    if (element == null) {
+      return null;
+    } else if (!Number.isInteger(boundary.index) || boundary.index < 1) {
+      throw new Error(`Invalid text node index: ${boundary.index}`);
+    }
+
+    return this.nthTextOf_(element, boundary.index - 1);
+  }
+
+  /**
+   * Compute element referenced by a selector
+   *
+   * Only selectors of the form produced by `selectorOf` are supported.  Structural steps are
+   * resolved while ignoring highlight containers, which the `:nth-of-type` pseudo-class would
+   * otherwise count.
+   *
+   * @param {string} selector - Selector representation
+   * @returns {Node | null} The element referenced or `null` if not found
+   */
+  elementOf(selector: string): Node | null {
+    const steps = selector.split(">").map((s) => s.trim());
+    let cur = null;
+
+    steps.forEach((step, i) => {
+      if (i === 0 && step === SCOPE) {
+        cur = this.root;
+        return;
+      } else if (i === 0 && step[0] === "#") {
+        if (!SAFE_ID.test(step.substr(1))) {
+          throw new Error(`Invalid selector representation: ${selector}`);
+        }
+
+        cur = this.byId_(step.substr(1));
+        return;
+      } else if (i === 0) {
+        throw new Error(`Invalid selector representation: ${selector}`);
+      } else if (cur == null) {
+        return;
+      }
+
+      const match = step.match(NTH_OF_TYPE);
+      if (match == null) {
+        throw new Error(`Invalid selector representation: ${selector}`);
+      }
+
+      const index = parseInt(match[2], 10) - 1;
+      if (index < 0) {
+        throw new Error(`Invalid selector representation: ${selector}`);
+      }
+
+      cur = this.nthElementOf_((cur: any), match[1].toLowerCase(), index);
+    });
+
+    return cur;
+  }
+
+  //  Private interface
+  // ----------------------------------------
+  /**
+   * Find the element with a given `id` attribute in the root node's sub-tree
+   * @access private
+   *
+   * @param {string} id - Identifier that does not require escaping
+   * @returns {Node | null} Element found or `null`
+   */
+  byId_(id: string): Node | null {
+    const root: any = this.root;
+    return root.querySelector != null ? root.querySelector("#" + id) : null;
+  }
+}
@@ -1,6 +1,10 @@
 // @flow
 
 import * as dom from "./dom";
+import { containsComposed, firstChildOf, nextSiblingOf } from "./dom";
+import ExclusionPolicy from "./ExclusionPolicy";
+import OffsetMap from "./OffsetMap";
+import { fold } from "./util";
 
 export type Marker = {| node: Node, offset: number |};
 export type MarkerArray = Array<Marker>;
@@ -18,6 +22,61 @@ const IGNORE_TAGNAMES = new Set([
   "VIDEO",
 ]);
 
+// Elements rendered as blocks by default, whose boundaries separate the text before and after them.
+const BLOCK_TAGNAMES = new Set([
+  "ADDRESS",
+  "ARTICLE",
+  "ASIDE",
+  "BLOCKQUOTE",
+  "BODY",
+  "CAPTION",
+  "DD",
+  "DETAILS",
+  "DIALOG",
+  "DIV",
+  "DL",
+  "DT",
+  "FIELDSET",
+  "FIGCAPTION",
+  "FIGURE",
+  "FOOTER",
+  "FORM",
+  "H1",
+  "H2",
+  "H3",
+  "H4",
+  "H5",
+  "H6",
+  "HEADER",
+  "HGROUP",
+  "HR",
+  "LEGEND",
+  "LI",
+  "MAIN",
+  "NAV",
+  "OL",
+  "P",
+  "PRE",
+  "SECTION",
+  "SUMMARY",
+  "TABLE",
+  "TBODY",
+  "TD",
+  "TFOOT",
+  "TH",
+  "THEAD",
+  "TR",
+  "UL",
+]);
+
+// Virtual separator inserted between blocks.
+const BLOCK_SEPARATOR = "\n";
+
+// Values of the CSS `white-space` property under which sequences of whitespace collapse.
+const COLLAPSIBLE_WHITE_SPACE = new Set(["normal", "nowrap", "pre-line"]);
+
+const WHITESPACE = /[ \t\n\r\f]/;
+
 /**
  * Class responsible for building and keeping a convenient representation
  * of the text present in an HTML DOM sub-tree.
@@ -27,20 +86,62 @@ export default class TextContent {
   text: string;
   // FIXME: add type
   markers: MarkerArray;
+  // Index of markers by text node, which enables text nodes to be looked up in logarithmic time.
+  nodes: Map<Node, Marker>;
+  // Text node every text node produced by truncation was split from, which enables the fragments
+  // of a text node to be joined back together.
+  origins: WeakMap<Node, Node>;
+  // Whether to descend into open shadow roots.
+  shadow: boolean;
+  // Whether to descend into same-origin frames.
+  frames: boolean;
+  // Policy deciding which sub-trees to omit.
+  policy: ExclusionPolicy;
+  // Signature of the highlight elements rendered over the text, if any.
+  signature: ?string;
+  // Whether the view of the text separates blocks.
+  blocks: boolean;
+  // Whether the view of the text collapses whitespace as rendered.
+  collapse: boolean;
+  // Whether text queries are folded.
+  fold: boolean;
+  // Map of the text to its view, built on demand.
+  view_: ?OffsetMap;
+  // Map of the text to the folded view and the view it was built from, built on demand.
+  folded_: ?{| view: OffsetMap, map: OffsetMap |};
 
   /**
    * Class constructor
    * @param {Node|jQuery} root - Reference to a DOM element
+   * @param {boolean} [shadow=false] - Whether to descend into open shadow roots, whose text is
+   * visited before that of the light DOM children of their hosts
+   * @param {boolean} [frames=false] - Whether to descend into same-origin frames, whose text is
+   * visited in place of their frame elements
    */
-  constructor(root: HTMLElement) {
+  constructor(root: HTMLElement, shadow: boolean = false, frames: boolean = false) {
     this.root = root;
+    this.shadow = shadow;
+    this.frames = frames;
+    this.policy = new ExclusionPolicy();
+    this.signature = null;
+    this.blocks = false;
+    this.collapse = false;
+    this.fold = false;
     this.text = "";
     this.markers = [];
+    this.nodes = new Map();
+    this.origins = new WeakMap();
+    this.view_ = null;
+    this.folded_ = null;
   }
 
   dispose(): void {
     this.text = "";
     this.markers = [];
+    this.nodes = new Map();
+    this.origins = new WeakMap();
+    this.view_ = null;
+    this.folded_ = null;
   }
 
   setRoot(root: HTMLElement): void {
@@ -68,6 +169,8 @@ export default class TextContent {
    * */
   parse(): void {
     this.text = "";
+    this.nodes = new Map();
+    this.view_ = null;
     let markers = (this.markers = []);
     const offset = this._visit(this.root, 0);
 
@@ -107,6 +210,9 @@ export default class TextContent {
   truncate(marker: Marker, start: number, end: number): number {
     const old = marker.node; // The old text node
     const text = old.nodeValue;
+    // Text nodes inside frames must be created by the frame's own document.
+    const doc: Document = (old.ownerDocument: any);
+    const origin = this.origins.get(old) || old;
     let index = this.indexOf(marker.offset);
 
     // Sanity checks
@@ -118,13 +224,13 @@ export default class TextContent {
 
     // Chars 0..start - 1
     if (start > 0) {
-      const node = document.createTextNode(text.substr(0, start));
+      const node = doc.createTextNode(text.substr(0, start));
       // Since we're creating a new text node out of the old text node, we need to add a new entry
       // to the markers array
-      this.markers.splice(index, 0, {
-        offset: marker.offset,
-        node: dom.insertBefore(node, old),
-      });
+      const before = { offset: marker.offset, node: dom.insertBefore(node, old) };
+      this.markers.splice(index, 0, before);
+      this.nodes.set(node, before);
+      this.origins.set(node, origin);
 
       ++index;
     }
@@ -136,9 +242,12 @@ export default class TextContent {
     // need to update the node's offset though.
     marker.offset += start;
     marker.node = dom.insertBefore(
-      document.createTextNode(text.substr(start, end - start + 1)),
+      doc.createTextNode(text.substr(start, end - start + 1)),
       marker.node
     );
+    this.nodes.delete(old);
+    this.nodes.set(marker.node, marker);
+    this.origins.set(marker.node, origin);
 
     // Chars end + 1..length
     if (end !== text.length - 1) {
@@ -148,10 +257,14 @@ export default class TextContent {
 
       // We're again creating a new text node out of the old text node and thus need to add a new
       // entry to the markers array.
-      this.markers.splice(index + 1, 0, {
+      const node = doc.createTextNode(text.substr(end + 1));
+      const after = {
         offset: marker.offset + end - start + 1,
-        node: dom.insertAfter(document.createTextNode(text.substr(end + 1)), marker.node),
-      });
+        node: dom.insertAfter(node, marker.node),
+      };
+      this.markers.splice(index + 1, 0, after);
+      this.nodes.set(node, after);
+      this.origins.set(node, origin);
     }
 
     if (process.env.NODE_ENV === "development") {
@@ -163,6 +276,215 @@ export default class TextContent {
     return index;
   }
 
+  /**
+   * Join a text node with the adjacent fragments of the text node it was split from
+   *
+   * Undoes the splitting of text nodes carried out by `truncate` once the fragments of a text node
+   * are siblings again, e.g. after the highlight elements that separated them are removed.  Only
+   * fragments of the same text node are joined, so unlike `Node.normalize` text nodes that were
+   * adjacent to begin with are left alone and no other sub-tree is touched.  The value of the first
+   * fragment is extended and the other fragments are removed from the DOM along with their
+   * markers.  Marker offsets need not be shifted since the text does not change.
+   *
+   * `TextRange` instances referring to the markers of fragments removed become invalid.
+   *
+   * @param {Node} node - Text node to join
+   * @returns {Node} Text node the fragments were joined into, which is `node` itself if no other
+   * fragment is adjacent to it
+   */
+  join(node: Node): Node {
+    const origin = this.origins.get(node);
+    if (origin == null) return node;
+
+    let first = node;
+    let prev = first.previousSibling;
+    while (prev != null && this.origins.get(prev) === origin) {
+      first = prev;
+      prev = first.previousSibling;
+    }
+
+    let value = first.nodeValue;
+    let next = first.nextSibling;
+    while (next != null && this.origins.get(next) === origin) {
+      const fragment = next;
+      next = fragment.nextSibling;
+      value += fragment.nodeValue;
+      (fragment.parentNode: any).removeChild(fragment);
+
+      const marker = this.nodes.get(fragment);
+      if (marker != null) {
+        this.markers.splice(this.indexOf(marker.offset), 1);
+        this.nodes.delete(fragment);
+        this.view_ = null;
+      }
+    }
+
+    if (value !== first.nodeValue) first.nodeValue = value;
+    return first;
+  }
+
+  /**
+   * Remove the marker descriptor at a given index
+   *
+   * Removes the text of the marker's text node from the internal representation and shifts the
+   * offsets of all subsequent markers accordingly.  The marker's text node is not touched, so this
+   * method may be invoked after the text node has been removed from the DOM or its value changed.
+   *
+   * @param {number} index - Marker index
+   * @returns {Marker} The marker removed
+   */
+  removeAt(index: number): Marker {
+    const marker = this.at(index);
+    const next =
+      index + 1 < this.markers.length ? this.markers[index + 1].offset : this.text.length;
+
+    this.text = this.text.substr(0, marker.offset) + this.text.substr(next);
+    this.view_ = null;
+    this.markers.splice(index, 1);
+    this.nodes.delete(marker.node);
+    this.shift_(index, marker.offset - next);
+    return marker;
+  }
+
+  /**
+   * Insert a marker descriptor for a text node
+   *
+   * Inserts the text of the text node into the internal representation at the position the node
+   * occupies in the DOM relative to the text nodes already recorded, which must all be attached to
+   * the DOM, and shifts the offsets of all subsequent markers accordingly.  Empty text nodes, text
+   * nodes outside of the root element and text nodes inside excluded elements are not recorded.
+   *
+   * @param {Node} node - Text node to insert
+   * @param {Marker} [marker] - Existing marker to reuse, which ensures `TextRange` instances that
+   * refer to it remain valid
+   *
+   * @returns {?Marker} The marker inserted or `null` if the text node was not recorded
+   */
+  insert(node: Node, marker?: ?Marker): ?Marker {
+    if (
+      node.nodeType !== 3 ||
+      node.nodeValue.length < 1 ||
+      !containsComposed(this.root, node) ||
+      this.policy.isExcluded(node, this.root)
+    ) {
+      return null;
+    }
+
+    const length = node.nodeValue.length;
+    const index = this.insertionIndex_(node);
+    const offset = index < this.markers.length ? this.markers[index].offset : this.text.length;
+    if (marker == null) {
+      marker = { node, offset };
+    } else {
+      marker.node = node;
+      marker.offset = offset;
+    }
+
+    this.text = this.text.substr(0, offset) + this.textOf_(node) + this.text.substr(offset);
+    this.view_ = null;
+    this.shift_(index, length);
+    this.markers.splice(index, 0, marker);
+    this.nodes.set(node, marker);
+    return marker;
+  }
+
+  /**
+   * Return the map of the text to its view
+   *
+   * The view of the text is the text searched by text finders.  It is the text itself unless
+   * blocks are separated, in which case a virtual separator (`\n`) is inserted wherever a block
+   * element or a `BR` element separates two text nodes, so that matches do not run across
+   * paragraphs.  Offsets of the view must be mapped back to offsets of the text before they are
+   * used to look up markers.
+   *
+   * When whitespace is collapsed, the view is the text as rendered by the browser instead: blocks
+   * are separated, and whitespace collapses as specified by the CSS `white-space` property of the
+   * elements containing it.  Sequences of collapsible whitespace become a single space and
+   * collapsible whitespace at the start and end of lines is removed.
+   *
+   * The map is built on demand and kept until the text changes or `invalidateView` is invoked.
+   *
+   * @returns {OffsetMap} Map of the text to its view
+   */
+  view(): OffsetMap {
+    if (this.view_ != null) {
+      return this.view_;
+    } else if (this.collapse) {
+      return (this.view_ = this.collapse_());
+    } else if (!this.blocks) {
+      return (this.view_ = OffsetMap.identity(this.text));
+    }
+
+    const map = new OffsetMap();
+    let offset = 0;
+    for (const boundary of this.boundaries_()) {
+      map.keep(this.text.substring(offset, boundary)).insert(BLOCK_SEPARATOR);
+      offset = boundary;
+    }
+
+    return (this.view_ = map.keep(this.text.substr(offset)).end());
+  }
+
+  /**
+   * Discard the map of the text to its view
+   *
+   * Must be invoked when an option the view depends on changes, so that the map is built anew the
+   * next time it is needed.
+   */
+  invalidateView(): void {
+    this.view_ = null;
+  }
+
+  /**
+   * Return the map of the text to its folded view
+   *
+   * The folded view is the view of the text with case, diacritics and differences of Unicode
+   * normalization form folded away, as done by `fold`.  Text finders search it when text queries
+   * are folded.
+   *
+   * The map is built on demand and kept until the view changes.
+   *
+   * @returns {OffsetMap} Map of the text to its folded view
+   */
+  folded(): OffsetMap {
+    const view = this.view();
+    if (this.folded_ == null || this.folded_.view !== view) {
+      const map = fold(view.text);
+      this.folded_ = { view, map: view.text === this.text ? map : view.compose(map) };
+    }
+
+    return this.folded_.map;
+  }
+
+  /**
+   * Return the map of the text to its representation
+   *
+   * The representation of the text is the text ranges contain, as returned by `excerpt`.  It is the
+   * view of the text when whitespace is collapsed and the text itself otherwise.
+   *
+   * @returns {OffsetMap} Map of the text to its representation
+   */
+  representation(): OffsetMap {
+    return this.collapse ? this.view() : OffsetMap.identity(this.text);
+  }
+
+  /**
+   * Extract the representation of the text contained in a range of the text
+   *
+   * @param {number} offset - Offset of the start of the range in the text
+   * @param {number} len - Length of the range in the text
+   *
+   * @returns {string} Extracted representation
+   */
+  excerpt(offset: number, len: number): string {
+    if (!this.collapse) {
+      return this.substr(offset, len);
+    }
+
+    const map = this.view();
+    return map.text.substring(map.fromSource(offset), map.fromSource(offset + len));
+  }
+
   /**
    * Return the index of the marker descriptor of a given text offset.
    *
@@ -200,6 +522,10 @@ export default class TextContent {
   /**
    * Find the index of the marker descriptor of a given text node element
    *
+   * The marker of the text node is looked up in the index of markers by node and its index then
+   * found by way of a binary search on its offset, which is unique since empty text nodes are not
+   * recorded.
+   *
    * @param {Node} element - Reference to the text node to look up
    * @param {number} [start=0] - Start marker index if known for a fact that the text node is to be
    * found **after** a certain offset
@@ -207,17 +533,13 @@ export default class TextContent {
    * @returns {number} The marker index of `element` or `-1` if not found.
    */
   find(element: Node, start: ?number = 0): number {
-    if (element.nodeType !== 3) {
+    const marker = element.nodeType === 3 ? this.nodes.get(element) : null;
+    if (marker == null) {
       return -1;
     }
 
-    for (let i = start == null ? 0 : start, l = this.markers.length; i < l; ++i) {
-      if (this.markers[i].node === element) {
-        return i;
-      }
-    }
-
-    return -1;
+    const index = this.indexOf(marker.offset);
+    return index >= (start == null ? 0 : start) && this.markers[index] === marker ? index : -1;
   }
 
   /**
@@ -272,12 +594,202 @@ export default class TextContent {
         throw new Error("Halting due to invalid offset");
       }
 
+      if (this.nodes.get(marker.node) !== marker) {
+        console.error("invalid node index: %d ->", i, marker);
+        throw new Error("Halting due to invalid node index");
+      }
+
       offset += marker.node.nodeValue.length;
     }
   }
 
   //  Private interface
   // ----------------------------------------
+  /**
+   * Shift the offsets of markers starting at a given index
+   * @access private
+   *
+   * @param {number} index - Index of first marker to shift
+   * @param {number} delta - Amount to shift offsets by
+   */
+  shift_(index: number, delta: number): void {
+    for (let i = index, l = this.markers.length; i < l; ++i) {
+      this.markers[i].offset += delta;
+    }
+  }
+
+  /**
+   * Build the map of the text to the text as rendered
+   * @access private
+   *
+   * See `view`.
+   *
+   * @returns {OffsetMap} Map of the text to the text as rendered
+   */
+  collapse_(): OffsetMap {
+    const map = new OffsetMap();
+    const { markers, text } = this;
+    const boundaries = this.boundaries_();
+    const styles = new Map();
+    let boundary = 0;
+    // Length of the sequence of collapsible whitespace pending, whether a separator is pending and
+    // whether the next character starts a line.  Separators are only inserted before characters
+    // that are kept so that the view never ends with one.
+    let run = 0;
+    let separator = false;
+    let lineStart = true;
+
+    for (let i = 0, l = markers.length; i < l; ++i) {
+      const { node, offset } = markers[i];
+      const end = i + 1 < l ? markers[i + 1].offset : text.length;
+      const mode = this.whiteSpaceOf_(node, styles);
+      const collapsible = COLLAPSIBLE_WHITE_SPACE.has(mode);
+
+      for (let j = offset; j < end; ++j) {
+        if (boundaries[boundary] === j) {
+          ++boundary;
+          map.remove(run);
+          run = 0;
+          separator = separator || !lineStart;
+          lineStart = true;
+        }
+
+        const ch = text[j];
+        const keep = !collapsible || !WHITESPACE.test(ch);
+        if (separator && (keep || (ch === "\n" && mode === "pre-line"))) {
+          map.insert(BLOCK_SEPARATOR);
+          separator = false;
+        }
+
+        if (keep) {
+          map.replace(run, run > 0 ? " " : "").keep(ch);
+          run = 0;
+          lineStart = ch === "\n";
+        } else if (ch === "\n" && mode === "pre-line") {
+          // Segment breaks are preserved but whitespace around them is not.
+          map.remove(run).keep(ch);
+          run = 0;
+          lineStart = true;
+        } else if (lineStart) {
+          map.remove(1);
+        } else {
+          ++run;
+        }
+      }
+    }
+
+    return map.remove(run).end();
+  }
+
+  /**
+   * Return the value of the CSS `white-space` property applying to a text node
+   * @access private
+   *
+   * @param {Node} node - Text node
+   * @param {Map<Node, string>} styles - Values already computed, by element
+   * @returns {string} Value of the `white-space` property
+   */
+  whiteSpaceOf_(node: Node, styles: Map<Node, string>): string {
+    const parent = node.parentElement;
+    if (parent == null) {
+      return "normal";
+    }
+
+    let value = styles.get(parent);
+    if (value == null) {
+      const view = parent.ownerDocument.defaultView || window;
+      value = view.getComputedStyle(parent).whiteSpace;
+      // Not all environments compute inherited values.
+      if (value === "" && parent !== this.root) value = this.whiteSpaceOf_(parent, styles);
+      value = value || "normal";
+      styles.set(parent, value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Return the offsets of the text nodes separated from the preceding text by a block boundary
+   * @access private
+   *
+   * A block boundary is the start or end of a block element, or a `BR` element.
+   *
+   * @returns {Array<number>} Ascending text offsets
+   */
+  boundaries_(): Array<number> {
+    const offsets = [];
+    let pending = false;
+    const visit = (node: Node) => {
+      if (node.nodeType === 3) {
+        const marker = this.nodes.get(node);
+        if (marker != null) {
+          if (pending && marker.offset > 0) offsets.push(marker.offset);
+          pending = false;
+        }
+        return;
+      }
+
+      const block = node !== this.root && BLOCK_TAGNAMES.has(node.nodeName);
+      if (block || node.nodeName === "BR") pending = true;
+      for (
+        let ch = firstChildOf(node, this.shadow, this.frames);
+        ch != null;
+        ch = nextSiblingOf(ch)
+      ) {
+        if (!this.policy.excludes(ch)) visit(ch);
+      }
+      if (block) pending = true;
+    };
+
+    visit(this.root);
+    return offsets;
+  }
+
+  /**
+   * Return the index at which to insert the marker of a text node to keep markers in DOM order
+   * @access private
+   *
+   * Note: employs the binary search algorithm.
+   *
+   * @param {Node} node - Text node
+   * @returns {number} Marker index
+   */
+  insertionIndex_(node: Node): number {
+    const markers = this.markers;
+    let min = 0;
+    let max = markers.length;
+
+    while (min < max) {
+      const mid = Math.floor((min + max) / 2);
+
+      if (markers[mid].node.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING) {
+        min = mid + 1;
+      } else {
+        max = mid;
+      }
+    }
+
+    return min;
+  }
+
+  /**
+   * Return the text of a text node as represented internally
+   * @access private
+   *
+   * @param {Node} node - Text node
+   * @returns {string} Text of the node, or an equal amount of spaces if the text is never rendered
+   */
+  textOf_(node: Node): string {
+    // See `_visit` as to why text that is never rendered is replaced by spaces.  Text nodes that
+    // are children of a shadow root have no parent element.
+    const parent = node.parentElement;
+    if (parent != null && IGNORE_TAGNAMES.has(parent.tagName)) {
+      return " ".repeat(node.nodeValue.length);
+    }
+
+    return node.nodeValue;
+  }
+
   _visit(node: Node, offset: number): number {
     // Only interested in text nodes
     if (node.nodeType === 3) {
@@ -292,7 +804,9 @@ export default class TextContent {
       if (length < 1) return offset;
 
       // Save reference to text node and store global offset in the markers array
-      this.markers.push({ node: node, offset: offset });
+      const marker = { node: node, offset: offset };
+      this.markers.push(marker);
+      this.nodes.set(node, marker);
 
       // Do not contain a literal representation of the text content of elements whose text is
       // never rendered by the browser.  Instead, contain spaces such that we are able to carry out
@@ -322,22 +836,19 @@ export default class TextContent {
       //
       // /positive\s+match/i.test(this.text) => true
       // Note: underscore character above illustrates original content replaced by spaces.
-      // --
-      // $FlowFixMe: parent node of a text node is guaranteed to exist and to be of element type.
-      if (IGNORE_TAGNAMES.has(node.parentElement.tagName)) {
-        this.text += " ".repeat(length);
-      } else {
-        this.text += content;
-      }
+      this.text += this.textOf_(node);
       return offset + length;
     }
 
-    // If current node is not of type text, process its children nodes, if any.
-    const ch = node.childNodes;
-    if (ch.length > 0) {
-      for (let i = 0, l = ch.length; i < l; ++i) {
-        offset = this._visit(ch[i], offset);
-      }
+    // If current node is not of type text, process its children nodes, if any, including its
+    // shadow root when descending into shadow roots and its frame's document when descending into
+    // frames.  Excluded elements are omitted altogether.
+    for (
+      let ch = firstChildOf(node, this.shadow, this.frames);
+      ch != null;
+      ch = nextSiblingOf(ch)
+    ) {
+      if (!this.policy.excludes(ch)) offset = this._visit(ch, offset);
     }
 
     return offset;
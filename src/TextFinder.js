@@ -6,6 +6,7 @@ import type { TextQuery } from "./typedefs";
 import TextContent from "./TextContent";
 import Finder from "./Finder";
 import TextRange from "./TextRange";
+import { foldText } from "./util";
 
 /* FIXME: create a class for matching of regular expression subjects. */
 /**
@@ -61,16 +62,27 @@ export default class TextFinder extends Finder {
     // Construct base class
     super(content);
 
-    // Build an array containing all hits of `subject´
-    let match;
-    const re = query instanceof RegExp ? query : TextFinder.createSafeRegExp(query);
+    // Build an array containing all hits of `subject´.  The view of the text is searched, whose
+    // offsets are mapped back to offsets of the text.  Hits consisting solely of virtual characters
+    // are discarded.  When text queries are folded, query strings and the view are both folded
+    // whereas regular expressions are matched against the view as is.
+    const folded = this.content.fold && typeof query === "string";
+    const re =
+      query instanceof RegExp
+        ? query
+        : TextFinder.createSafeRegExp(folded ? foldText(query) : query);
     if (!re.global) {
       throw new Error("Regular expression's global flag not enabled");
     }
 
-    while ((match = re.exec(this.content.text)) !== null) {
-      // $FlowFixMe: erroring out on match below for some strange reason
-      this.results.push({ length: match[0].length, index: match.index });
+    const view = folded ? this.content.folded() : this.content.view();
+    for (let match = re.exec(view.text); match != null; match = re.exec(view.text)) {
+      const matched = match[0];
+      const index = view.toSource(match.index);
+      const length = view.toSourceEnd(match.index + matched.length - 1) - index + 1;
+      if (length > 0) this.results.push({ length, index });
+      // Avoid looping forever on empty matches
+      if (matched.length < 1) ++re.lastIndex;
     }
   }
 
@@ -1,5 +1,8 @@
 // @flow
 
+import { firstChildOf, nextSiblingOf, parentOf } from "./dom";
+import ExclusionPolicy from "./ExclusionPolicy";
+
 /**
  * Convenient class for visiting all text nodes that are siblings and descendants of a given root
  * node
@@ -7,14 +10,26 @@
 export default class TextNodeVisitor {
   root: Node;
   current: ?Node;
+  shadow: boolean;
+  frames: boolean;
+  policy: ?ExclusionPolicy;
 
   /**
    * Class constructor
    *
    * @param {Node} node - The node where to start visiting the DOM
    * @param {Node} [root=null] - The root node where to stop visiting the DOM
+   * @param {boolean} [shadow=false] - Whether to descend into open shadow roots
+   * @param {boolean} [frames=false] - Whether to descend into same-origin frames
+   * @param {ExclusionPolicy} [policy=null] - Policy deciding which sub-trees to skip
    */
-  constructor(node: Node, root: ?Node) {
+  constructor(
+    node: Node,
+    root: ?Node,
+    shadow: boolean = false,
+    frames: boolean = false,
+    policy: ?ExclusionPolicy = null
+  ) {
     if (root == null) {
       if (document.body == null) {
         throw new Error("document body not defined");
@@ -26,6 +41,9 @@ export default class TextNodeVisitor {
     }
 
     this.current = node;
+    this.shadow = shadow;
+    this.frames = frames;
+    this.policy = policy;
   }
 
   /**
@@ -54,18 +72,21 @@ export default class TextNodeVisitor {
    * @param {Node | null} node - current node
    * @returns {Node} next - node or `null` if none available or the root node was reached
    */
-  nextNode_(node: Node | null): ?Node {
+  nextNode_(node: ?Node): ?Node {
     // Abort if invalid or root node; otherwise attempt to advance to sibling node
     if (node == null) {
       throw new Error("Invalid state: outside of root sub-tree");
     } else if (node === this.root) {
       return null;
-    } else if (node.nextSibling != null) {
-      return node.nextSibling;
+    }
+
+    const next = nextSiblingOf(node);
+    if (next != null) {
+      return next;
     }
 
     // Move up to sibling of parent node
-    return this.nextNode_((node: any).parentNode);
+    return this.nextNode_(parentOf(node));
   }
 
   /**
@@ -82,9 +103,12 @@ export default class TextNodeVisitor {
       return node;
     }
 
-    const ch = node.childNodes;
-    if (ch.length > 0) {
-      return this.nextText_(ch[0]);
+    // Do not descend into excluded elements
+    const { policy } = this;
+    const child =
+      policy != null && policy.excludes(node) ? null : firstChildOf(node, this.shadow, this.frames);
+    if (child != null) {
+      return this.nextText_(child);
     }
 
     const next = this.nextNode_(node);
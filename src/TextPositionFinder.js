@@ -0,0 +1,69 @@
+// @flow
+
+import type { TextPosition } from "./typedefs";
+import TextContent from "./TextContent";
+import Finder from "./Finder";
+import TextRange from "./TextRange";
+
+/**
+ * Class responsible for locating text in a `TextContent` instance from absolute start and end
+ * character offsets into its text.
+ */
+export default class TextPositionFinder extends Finder {
+  /**
+   * Determine if given value is of type accepted by the `TextPositionFinder` class
+   *
+   * This method determines if a given value can be used to instantiate a `TextPositionFinder`
+   * class.
+   *
+   * @param {any} value - Value to determine
+   * @returns {boolean} `true` if value can be used to instantiate a `TextPositionFinder` class
+   */
+  static isQuery(value: any): boolean {
+    return (
+      typeof value === "object" &&
+      value != null &&
+      typeof value.start === "number" &&
+      typeof value.end === "number"
+    );
+  }
+
+  /**
+   * Class constructor
+   *
+   * Throws an exception if the offsets are not integers or do not describe a non-empty range
+   * within the bounds of the text.
+   *
+   * @param {TextContent} content - Reference to `TextContent` instance
+   * @param {TextPosition} position - Absolute start and (exclusive) end offsets
+   */
+  constructor(content: TextContent, position: TextPosition) {
+    super(content);
+
+    const { start, end } = position;
+    if (!Number.isInteger(start) || !Number.isInteger(end)) {
+      throw new Error("Invalid text position: offsets must be integers");
+    } else if (start < 0 || start >= end || end > this.content.text.length) {
+      throw new Error(`Invalid text position: ${start}:${end}`);
+    }
+
+    this.results.push({ start, end: end - 1 });
+  }
+
+  /**
+   * Return next available match
+   *
+   * @returns {TextRange | null} Returns a `TextRange` if a match is available, or `null` if no
+   * more matches are available.
+   */
+  next(): ?TextRange {
+    if (this.current >= this.results.length) {
+      return null;
+    }
+
+    const subject = this.results[this.current];
+    ++this.current;
+
+    return new TextRange(this.content, this.getAt_(subject.start), this.getAt_(subject.end));
+  }
+}
@@ -0,0 +1,124 @@
+// @flow
+
+import type { TextQuote } from "./typedefs";
+import TextContent from "./TextContent";
+import Finder from "./Finder";
+import TextRange from "./TextRange";
+
+/**
+ * Class responsible for locating a text quote in a `TextContent` instance
+ *
+ * A text quote is made up of the exact text to locate and, optionally, of some of the text that
+ * immediately precedes (`prefix`) and follows (`suffix`) it.  Since the quote does not depend on
+ * the structure of the document, it survives changes to the layout of the page that would
+ * otherwise invalidate an XPath representation.
+ */
+export default class TextQuoteFinder extends Finder {
+  /**
+   * Determine if given value is of type accepted by the `TextQuoteFinder` class
+   *
+   * This method determines if a given value can be used to instantiate a `TextQuoteFinder` class.
+   *
+   * @param {any} value - Value to determine
+   * @returns {boolean} `true` if value can be used to instantiate a `TextQuoteFinder` class
+   */
+  static isQuery(value: any): boolean {
+    return typeof value === "object" && value != null && typeof value.exact === "string";
+  }
+
+  /**
+   * Class constructor
+   *
+   * Of all the occurrences of the exact text, only the one whose surrounding text best matches the
+   * quote's prefix and suffix is retained.  When more than one occurrence matches equally well, the
+   * first one is retained.
+   *
+   * @param {TextContent} content - Reference to `TextContent` instance
+   * @param {TextQuote} quote - Text quote to locate
+   */
+  constructor(content: TextContent, quote: TextQuote) {
+    super(content);
+
+    const { exact, prefix = "", suffix = "" } = quote;
+    if (exact.length < 1) {
+      throw new Error("Invalid text quote: exact text cannot be empty");
+    }
+
+    // Quotes are excerpts of the representation of the text, whose offsets are mapped back to
+    // offsets of the text.
+    const map = this.content.representation();
+    const text = map.text;
+    let best = -1;
+    let bestScore = -1;
+
+    for (let index = text.indexOf(exact); index > -1; index = text.indexOf(exact, index + 1)) {
+      // Only the text the prefix and suffix could match is compared, rather than the text all the
+      // way to either end, which would be quadratic on large pages with many occurrences.
+      const before = text.substring(Math.max(0, index - prefix.length), index);
+      const after = text.substr(index + exact.length, suffix.length);
+      const score =
+        TextQuoteFinder.commonSuffixLength_(before, prefix) +
+        TextQuoteFinder.commonPrefixLength_(after, suffix);
+
+      if (score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    }
+
+    const start = map.toSource(best);
+    const end = map.toSourceEnd(best + exact.length - 1);
+    if (best > -1 && start <= end) {
+      this.results.push({ start, end });
+    }
+  }
+
+  /**
+   * Return next available match
+   *
+   * @returns {TextRange | null} Returns a `TextRange` if a match is available, or `null` if no
+   * more matches are available.
+   */
+  next(): ?TextRange {
+    if (this.current >= this.results.length) {
+      return null;
+    }
+
+    const subject = this.results[this.current];
+    ++this.current;
+
+    return new TextRange(this.content, this.getAt_(subject.start), this.getAt_(subject.end));
+  }
+
+  //  Private interface
+  // ----------------------------------------
+  /**
+   * Compute the number of characters two strings have in common at their start
+   * @access private
+   *
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Length of common prefix
+   */
+  static commonPrefixLength_(a: string, b: string): number {
+    const l = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < l && a[i] === b[i]) ++i;
+    return i;
+  }
+
+  /**
+   * Compute the number of characters two strings have in common at their end
+   * @access private
+   *
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Length of common suffix
+   */
+  static commonSuffixLength_(a: string, b: string): number {
+    const l = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < l && a[a.length - 1 - i] === b[b.length - 1 - i]) ++i;
+    return i;
+  }
+}
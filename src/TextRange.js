@@ -1,9 +1,10 @@
 // @flow
 
-import type { XPathRange } from "./typedefs";
+import type { SelectorRange, TextPosition, TextQuote, XPathRange } from "./typedefs";
 import TextContent from "./TextContent";
 import TextNodeVisitor from "./TextNodeVisitor";
 import XPathResolver from "./XPathResolver";
+import SelectorResolver from "./SelectorResolver";
 import type { Marker } from "./TextContent";
 
 export type RangeDescriptor = {| marker: Marker, offset: number |};
@@ -19,6 +20,12 @@ export default class TextRange {
   content: TextContent;
   start: RangeDescriptor;
   end: RangeDescriptor;
+  // Confidence in the range being the one sought, where 1 means an exact match.  Only ranges
+  // produced by approximate matching have a confidence lower than 1.
+  confidence: number;
+  // Whether the text contained by the range differs from the text it was expected to contain, or
+  // the range was re-anchored to that text elsewhere.
+  drifted: boolean;
 
   /**
    * Create a range descriptor from a global offset.
@@ -53,6 +60,8 @@ export default class TextRange {
 
     this.start = start;
     this.end = end;
+    this.confidence = 1;
+    this.drifted = false;
   }
 
   /**
@@ -63,7 +72,11 @@ export default class TextRange {
   computeXPath(): XPathRange {
     const start = this.start.marker.node;
     const end = this.end.marker.node;
-    const resolver = new XPathResolver(this.content.root);
+    const resolver = new XPathResolver(
+      this.content.root,
+      this.content.policy,
+      this.content.signature
+    );
     return {
       start: {
         xpath: resolver.xpathOf(start),
@@ -76,6 +89,49 @@ export default class TextRange {
     };
   }
 
+  /**
+   * Compute the CSS selector representation of the active range
+   *
+   * @returns {SelectorRange} CSS selector representation of active range
+   */
+  computeSelector(): SelectorRange {
+    const resolver = new SelectorResolver(
+      this.content.root,
+      this.content.policy,
+      this.content.signature
+    );
+    const end = resolver.boundaryOf(this.end.marker.node, this.end.offset);
+    return {
+      start: resolver.boundaryOf(this.start.marker.node, this.start.offset),
+      end: { ...end, offset: end.offset + 1 },
+    };
+  }
+
+  /**
+   * Compute the text quote representation of the active range
+   *
+   * The quote contains the exact text of the range as well as up to `context` characters of the
+   * text immediately preceding and following it, which are used to disambiguate between multiple
+   * occurrences of the exact text.  All three are excerpts of the representation of the text, so
+   * they are free of whitespace that is not rendered when whitespace is collapsed.
+   *
+   * @param {number} [context=32] - Maximum length of the prefix and suffix
+   * @returns {TextQuote} Text quote representation of active range
+   */
+  computeQuote(context: number = 32): TextQuote {
+    const map = this.content.representation();
+    const text = map.text;
+    const exact = this.toString();
+    const start = map.fromSource(this.getAbsoluteStartOffset());
+    const end = start + exact.length;
+
+    return {
+      exact,
+      prefix: text.substring(Math.max(0, start - context), start),
+      suffix: text.substring(end, end + context),
+    };
+  }
+
   clearStartOffset(): void {
     this.start.offset = 0;
   }
@@ -84,6 +140,26 @@ export default class TextRange {
     return this.start.marker.offset + this.start.offset;
   }
 
+  /**
+   * Return the absolute offset of the last character in the range
+   *
+   * Note that, unlike the end offset of a `TextPosition`, the offset returned is inclusive.
+   *
+   * @returns {number} Absolute offset of last character
+   */
+  getAbsoluteEndOffset(): number {
+    return this.end.marker.offset + this.end.offset;
+  }
+
+  /**
+   * Compute the text position representation of the active range
+   *
+   * @returns {TextPosition} Absolute start and (exclusive) end offsets of active range
+   */
+  computePosition(): TextPosition {
+    return { start: this.getAbsoluteStartOffset(), end: this.getAbsoluteEndOffset() + 1 };
+  }
+
   /**
    * Compute the length of the active range
    *
@@ -96,7 +172,13 @@ export default class TextRange {
     }
 
     // Range spans 2 or more nodes
-    const visitor = new TextNodeVisitor(this.start.marker.node, this.content.root);
+    const visitor = new TextNodeVisitor(
+      this.start.marker.node,
+      this.content.root,
+      this.content.shadow,
+      this.content.frames,
+      this.content.policy
+    );
     const end = this.end.marker.node;
     let length = this.start.marker.node.nodeValue.length - this.start.offset + this.end.offset + 1;
 
@@ -109,6 +191,6 @@ export default class TextRange {
   }
 
   toString(): string {
-    return this.content.substr(this.start.marker.offset + this.start.offset, this.length());
+    return this.content.excerpt(this.start.marker.offset + this.start.offset, this.length());
   }
 }
@@ -0,0 +1,178 @@
+// @flow
+
+import type { HighlightJSON } from "./Highlight";
+import Highlight from "./Highlight";
+import DonHighlights from "./DonHighlights";
+import TextRange from "./TextRange";
+import AnchorError from "./AnchorError";
+import { SCHEMA_VERSION } from "./schema";
+import { patchContent } from "./ContentObserver";
+
+const CHECK_DELAY = 1000 / 60;
+
+/**
+ * Class responsible for rendering anew highlights whose elements are removed from the DOM
+ *
+ * Frameworks such as React or Vue discard the elements of highlights when re-rendering the content
+ * that contains them.  The watchdog observes the container of a `DonHighlights` instance for
+ * removed nodes and, shortly after, checks every highlight for elements no longer in the DOM.
+ * Such highlights are anchored anew from the XPath range and text quote cached when they were last
+ * rendered and rendered again, which causes a `rerender` event to be emitted.  Highlights that
+ * cannot be anchored anew are removed and kept as orphans of their group.
+ *
+ * Unless in live mode, the text content is patched from the nodes removed or inserted beforehand,
+ * as opposed to parsed anew, so the ranges of highlights left intact remain valid.
+ */
+export default class Watchdog {
+  instance: DonHighlights;
+  observer: MutationObserver;
+  records: Array<MutationRecord>;
+  timerID: ?TimeoutID;
+
+  /**
+   * Class constructor
+   *
+   * @param {DonHighlights} instance - Highlighter instance to watch
+   */
+  constructor(instance: DonHighlights) {
+    this.instance = instance;
+    this.timerID = null;
+    this.records = [];
+    this.observer = new MutationObserver((records) => {
+      if (records.some((r) => r.removedNodes.length > 0)) {
+        this.records.push(...records);
+        this.schedule();
+      }
+    });
+    this.observe();
+  }
+
+  dispose(): void {
+    this.observer.disconnect();
+    this.records = [];
+    if (this.timerID != null) {
+      clearTimeout(this.timerID);
+      this.timerID = null;
+    }
+  }
+
+  /**
+   * Start observing the instance's container element
+   *
+   * Observation starts upon construction.  Must be invoked again when the container changes.
+   */
+  observe(): void {
+    this.observer.disconnect();
+    this.records = [];
+    this.observer.observe(this.instance.container, { childList: true, subtree: true });
+  }
+
+  /**
+   * Schedule a check, postponing any check already scheduled
+   */
+  schedule(): void {
+    if (this.timerID != null) clearTimeout(this.timerID);
+    this.timerID = setTimeout(() => {
+      this.timerID = null;
+      this.check();
+    }, CHECK_DELAY);
+  }
+
+  /**
+   * Render anew highlights whose elements were removed from the DOM
+   *
+   * @returns {number} Number of highlights found to have been removed from the DOM
+   */
+  check(): number {
+    const { instance } = this;
+    const records = this.records.concat(this.observer.takeRecords());
+    this.records = [];
+
+    const detached = [];
+    instance.forEach((hl) => {
+      if (hl.isDetached(instance.container)) detached.push(hl);
+    });
+
+    if (detached.length < 1) return 0;
+
+    // The text content is necessarily stale unless it is kept up to date in live mode.
+    if (instance.observer == null) patchContent(instance.content, records);
+
+    for (const hl of detached) {
+      let range;
+      try {
+        range = this.anchor_(hl);
+      } catch (error) {
+        const reason = error instanceof AnchorError ? error.reason : "missing-element";
+        hl.group.orphan(this.toJSON_(hl), reason, error);
+        hl.group.unhighlight(hl.id);
+        continue;
+      }
+
+      hl.group.rerender(hl, range);
+    }
+
+    return detached.length;
+  }
+
+  //  Private interface
+  // ----------------------------------------
+  /**
+   * Anchor a highlight anew from its cached XPath range and text quote
+   *
+   * The XPath range is tried first, with the text it resolves to verified against the quote and
+   * searched for nearby if it differs, and the text quote last.
+   * @access private
+   *
+   * @param {Highlight} hl - Highlight to anchor
+   * @returns {TextRange} Range the highlight anchors to
+   */
+  anchor_(hl: Highlight): TextRange {
+    const { anchor } = hl;
+    if (anchor == null) {
+      throw new AnchorError("missing-element", `Highlight never rendered: ${hl.id}`);
+    }
+
+    let hit: ?TextRange = null;
+    let error = null;
+    const predicate = (h) => {
+      hit = h;
+      return false;
+    };
+
+    try {
+      this.instance.query(anchor.xpath, predicate, {
+        verify: { text: anchor.quote.exact, mode: "search" },
+      });
+    } catch (x) {
+      error = x;
+    }
+
+    if (hit == null) this.instance.query(anchor.quote, predicate);
+    if (hit == null) {
+      throw error || new AnchorError("text-mismatch", `Unable to anchor highlight: ${hl.id}`);
+    }
+
+    return hit;
+  }
+
+  /**
+   * Serialize a highlight from its cached anchor
+   * @access private
+   *
+   * @param {Highlight} hl - Highlight to serialize
+   * @returns {HighlightJSON} Serialized highlight
+   */
+  toJSON_(hl: Highlight): HighlightJSON {
+    const { anchor } = hl;
+    if (anchor == null) return hl.toJSON();
+
+    return {
+      version: SCHEMA_VERSION,
+      id: hl.id,
+      range: anchor.xpath,
+      state: hl.state,
+      text: anchor.quote.exact,
+    };
+  }
+}
@@ -0,0 +1,44 @@
+// @flow
+
+import type { SnapshotJSON } from "./DonHighlights";
+import type { IHighlightStorage } from "./interfaces";
+
+/**
+ * Storage adapter that keeps snapshots in a Web Storage area
+ *
+ * Uses `window.localStorage` unless told otherwise.  Keys are prefixed so as to avoid collisions
+ * with other items the page may keep in the same storage area.
+ *
+ * @param {Storage} [storage=window.localStorage] - Web Storage area
+ * @param {string} [prefix="dh:"] - Prefix of keys
+ */
+export default class WebStorage implements IHighlightStorage {
+  storage: Storage;
+  prefix: string;
+
+  constructor(storage?: Storage, prefix: string = "dh:") {
+    this.storage = storage || window.localStorage;
+    this.prefix = prefix;
+  }
+
+  load(key: string): Promise<?SnapshotJSON> {
+    return new Promise((resolve) => {
+      const item = this.storage.getItem(this.prefix + key);
+      resolve(item == null ? null : JSON.parse(item));
+    });
+  }
+
+  save(key: string, snapshot: SnapshotJSON): Promise<void> {
+    return new Promise((resolve) => {
+      this.storage.setItem(this.prefix + key, JSON.stringify(snapshot));
+      resolve();
+    });
+  }
+
+  remove(key: string): Promise<void> {
+    return new Promise((resolve) => {
+      this.storage.removeItem(this.prefix + key);
+      resolve();
+    });
+  }
+}
@@ -1,10 +1,12 @@
 // @flow
 
-import type { XPathRange } from "./typedefs";
+import type { FinderOptions, XPathRange } from "./typedefs";
 import TextContent from "./TextContent";
 import Finder from "./Finder";
+import type { ResolvedRange } from "./Finder";
 import XPathResolver from "./XPathResolver";
 import TextRange from "./TextRange";
+import AnchorError from "./AnchorError";
 
 /**
  * Class responsible for locating text in a `TextContent` instance from an
@@ -20,55 +22,136 @@ export default class XPathFinder extends Finder {
    * @returns {boolean} `true` if value can be used to instantiate a `XPathFinder` class
    */
   static isQuery(value: any): boolean {
-    // Should this be improved?  Currently not checking start and end are objects and of expected
-    // structure.
-    return typeof value === "object" && value != null && value.start != null && value.end != null;
+    // Only the start and end XPath strings are checked, which is enough to tell XPath ranges apart
+    // from other range-like subjects such as text positions.
+    return (
+      typeof value === "object" &&
+      value != null &&
+      value.start != null &&
+      value.end != null &&
+      typeof value.start.xpath === "string" &&
+      typeof value.end.xpath === "string"
+    );
   }
 
   /**
    * Class constructor
    *
+   * When the XPath range does not resolve, because the document changed since the range was
+   * computed, an approximate match of the text the range is expected to contain is attempted if
+   * the `fuzzy` option is specified.  The range then produced carries a confidence lower than 1
+   * unless the text is found verbatim.  The original exception is re-thrown if no approximate
+   * match is found within the edit-distance budget.
+   *
+   * An XPath range may also resolve after the text underneath it changed.  If the `verify` option
+   * is specified, the text the range resolves to is compared with the text expected and the range
+   * rejected, flagged as drifted or searched for nearby accordingly.  A rejected range is subject to
+   * approximate matching like a range that does not resolve.
+   *
    * @param {TextContent} content - Reference to `TextContent` instance
    * @param {XPathRange} subject - Descriptor containing an XPath representation with
    * start and end offsets.
+   * @param {FinderOptions} [options={}] - Finder options
    */
-  constructor(content: TextContent, subject: XPathRange) {
+  constructor(content: TextContent, subject: XPathRange, options: FinderOptions = {}) {
     super(content);
 
+    let result;
+    try {
+      result = this.resolve_(subject);
+      if (options.verify != null) result = this.verify_(result, options.verify);
+    } catch (x) {
+      if (options.fuzzy == null) throw x;
+
+      result = this.approximate_(options.fuzzy);
+      if (result == null) throw x;
+    }
+
+    // Save global character offset and relative start and end offsets in descriptor.
+    this.results.push(result);
+  }
+
+  /**
+   * Return next available match
+   *
+   * @returns {TextRange | null} Returns a `TextRange` if a match is available, or `null` if no
+   * more matches are available.
+   */
+  next(): ?TextRange {
+    if (this.current >= this.results.length) {
+      return null;
+    }
+
+    const subject: any = this.results[this.current];
+    if (subject == null) {
+      throw new Error("Subject not found");
+    }
+    ++this.current;
+
+    // TODO: we don't necessarily need to invoke getAt_ for the end offset.  A check has to be made
+    // to ascertain if the end offset falls within the start node.
+    const range = new TextRange(this.content, this.getAt_(subject.start), this.getAt_(subject.end));
+    range.confidence = subject.confidence;
+    range.drifted = subject.drifted === true;
+    return range;
+  }
+
+  //  Private interface
+  // ----------------------------------------
+  /**
+   * Resolve an XPath range to global start and end character offsets
+   *
+   * Throws an `AnchorError` if the range does not resolve.
+   * @access private
+   *
+   * @param {XPathRange} subject - XPath range to resolve
+   * @returns {Object} Descriptor containing the global start and (inclusive) end offsets
+   */
+  resolve_(subject: XPathRange): ResolvedRange {
+    const content = this.content;
     if (subject.start.offset < 0 || subject.end.offset < 0) {
       throw new Error("Invalid or no XPath object specified");
     }
 
     // Compute text node start and end elements that the XPath representation refers to.
     let end;
-    let resolver = new XPathResolver(this.content.root);
+    let resolver = new XPathResolver(content.root, content.policy, content.signature);
     let start = resolver.elementAt(subject.start.xpath);
 
-    // If an element could not be obtained from the XPath representation, abort now (messages will
-    // have been output).
+    // If an element could not be obtained from the XPath representation, abort now.
     if (start === null) {
-      throw new Error(`Unable to locate start element: ${subject.start.xpath}`);
+      throw new AnchorError(
+        "missing-element",
+        `Unable to locate start element: ${subject.start.xpath}`
+      );
     }
 
     end = resolver.elementAt(subject.end.xpath);
     if (end === null) {
-      throw new Error(`Unable to locate end element: ${subject.end.xpath}`);
+      throw new AnchorError(
+        "missing-element",
+        `Unable to locate end element: ${subject.end.xpath}`
+      );
+    }
+
+    // Offsets are relative to the normalised text nodes, which must be long enough to hold them.
+    if (subject.start.offset > resolver.length(start)) {
+      throw new AnchorError(
+        "offset-overflow",
+        "Invalid XPath representation: start offset overflow"
+      );
+    } else if (subject.end.offset > resolver.length(end)) {
+      throw new AnchorError("offset-overflow", "Invalid XPath representation: end offset overflow");
     }
 
     // Retrieve global character offset of the text node.
     start = content.find(start);
     end = content.find(end);
     if (start < 0 || end < 0) {
-      console.error(
-        "unable to derive global offsets: %d:%d [xpath=%s:%s to end=%s:%s]",
-        start,
-        end,
-        subject.start.xpath,
-        subject.start.offset,
-        subject.end.xpath,
-        subject.end.offset
+      throw new AnchorError(
+        "missing-element",
+        `Unable to translate XPath range: ${subject.start.xpath} to ${subject.end.xpath}`
       );
-      throw new Error("Unable to translate XPath range");
     }
 
     // Retrieve offset markers.
@@ -78,32 +161,11 @@ export default class XPathFinder extends Finder {
     /* console.log("DEBUG start = ", start, "end = ", end, subject); */
 
     if (start > end) {
-      throw new Error("Invalid XPath representation: start > end");
-    }
-
-    // Save global character offset and relative start and end offsets in descriptor.
-    this.results.push({ start, end });
-  }
-
-  /**
-   * Return next available match
-   *
-   * @returns {TextRange | null} Returns a `TextRange` if a match is available, or `null` if no
-   * more matches are available.
-   */
-  next(): ?TextRange {
-    if (this.current >= this.results.length) {
-      return null;
+      throw new AnchorError("offset-overflow", "Invalid XPath representation: start > end");
+    } else if (end >= content.text.length) {
+      throw new AnchorError("offset-overflow", "Invalid XPath representation: end offset overflow");
     }
 
-    const subject: any = this.results[this.current];
-    if (subject == null) {
-      throw new Error("Subject not found");
-    }
-    ++this.current;
-
-    // TODO: we don't necessarily need to invoke getAt_ for the end offset.  A check has to be made
-    // to ascertain if the end offset falls within the start node.
-    return new TextRange(this.content, this.getAt_(subject.start), this.getAt_(subject.end));
+    return { start, end, confidence: 1 };
   }
 }
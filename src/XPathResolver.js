@@ -1,6 +1,15 @@
 // @flow
 
 import { isHighlight } from "./HighlightRenderer";
+import ExclusionPolicy from "./ExclusionPolicy";
+import { frameBodyOf, frameElementOf, isFrameBody, isShadowRoot, shadowRootOf } from "./dom";
+
+// XPath step denoting the open shadow root of an element.  Not part of the XPath standard, it
+// enables ranges to cross shadow boundaries.
+export const SHADOW_ROOT_STEP = "#shadow-root";
+// XPath step denoting the body of the document loaded in a same-origin frame.  Like the above, it
+// enables ranges to cross frame boundaries.
+export const FRAME_DOCUMENT_STEP = "#document";
 
 export type XPathPart = {| tag: string, index: number |};
 
@@ -9,13 +18,26 @@ export type XPathPart = {| tag: string, index: number |};
  * root node is specified, the XPath produced will include the elements up to but **not** including
  * said root node.
  *
+ * Elements excluded by the exclusion policy are ignored as if they did not exist: they are not
+ * counted when computing element indices and, since their text is omitted, they do not separate
+ * the text nodes around them.
+ *
+ * Highlight containers are only recognised as such if they carry the signature of the
+ * `DonHighlights` instance the representations are computed for.
+ *
  * @param {DOMElement} [root=null] - Root DOM node
+ * @param {ExclusionPolicy} [policy] - Exclusion policy
+ * @param {string} [signature] - Signature of the highlight containers to recognise
  */
 export default class XPathResolver {
   root: Node;
+  policy: ExclusionPolicy;
+  signature: ?string;
 
-  constructor(root: Node) {
+  constructor(root: Node, policy?: ?ExclusionPolicy, signature?: ?string) {
     this.root = root;
+    this.policy = policy || new ExclusionPolicy();
+    this.signature = signature;
   }
 
   /**
@@ -24,6 +46,11 @@ export default class XPathResolver {
    * The XPath produced of the text node is fully normalised and unaffected by the current state of
    * text node fragmentation caused by the presence of highlight containers.
    *
+   * Nodes in shadow trees are represented by the XPath of the shadow host followed by the
+   * `#shadow-root` step, e.g. `/div[1]/my-widget[1]/#shadow-root/p[1]/text()[1]`, and nodes in
+   * frames by the XPath of the frame element followed by the `#document` step, which refers to the
+   * body of the frame's document, e.g. `/div[1]/iframe[1]/#document/p[1]/text()[1]`.
+   *
    * Throws an exception if `node` is <strong>not</strong> a text node.
    *
    * @param {Node} node - Text node to compute XPath representation of
@@ -47,14 +74,23 @@ export default class XPathResolver {
       /* eslint-enable curly */
     }
 
-    // Start traversing upwards from `node´'s parent node until we hit `root´ (or null)
-    for (
-      ;
-      node != null && node !== this.root && node.nodeType === 1;
-      node = (node: any).parentNode
-    ) {
-      const id = this.indexOfElement_(node);
-      xpath.push("/" + node.nodeName.toLowerCase() + "[" + id + "]");
+    // Start traversing upwards from `node´'s parent node until we hit `root´ (or null), crossing
+    // shadow boundaries from shadow roots to their hosts and frame boundaries from frame bodies to
+    // their frame elements.
+    while (node != null && node !== this.root) {
+      if (isFrameBody(node)) {
+        xpath.push("/" + FRAME_DOCUMENT_STEP);
+        node = (frameElementOf(node): any);
+      } else if (node.nodeType === 1) {
+        const id = this.indexOfElement_(node);
+        xpath.push("/" + node.nodeName.toLowerCase() + "[" + id + "]");
+        node = (node: any).parentNode;
+      } else if (isShadowRoot(node)) {
+        xpath.push("/" + SHADOW_ROOT_STEP);
+        node = (node: any).host;
+      } else {
+        break;
+      }
     }
 
     if (node == null) {
@@ -89,12 +125,27 @@ export default class XPathResolver {
     // since it'll be empty due to the starting forward slash in the XPath string.
     let i = 1;
     for (const l = parts.length - 1; i < l; ++i) {
+      if (parts[i] === SHADOW_ROOT_STEP) {
+        cur = shadowRootOf((cur: any));
+        if (cur == null) {
+          return null;
+        }
+
+        continue;
+      } else if (parts[i] === FRAME_DOCUMENT_STEP) {
+        cur = frameBodyOf((cur: any));
+        if (cur == null) {
+          return null;
+        }
+
+        continue;
+      }
+
       part = this.xpathPart_(parts[i]);
       cur = this.nthElementOf_((cur: any), part.tag, part.index);
       if (cur == null) {
         // This, we would hope, would be indicative that the tree mutated.  Otherwise, either this
         // algorithm is flawed or the reverse operation is.
-        console.error("failed to find nth child:", xpath, parts, i);
         return null;
       }
     }
@@ -113,7 +164,6 @@ allowed.  Offending XPath representation: ${xpath}`
     cur = part.tag === "text()" ? this.nthTextOf_((cur: any), part.index) : null;
 
     if (cur == null || cur.nodeType !== 3) {
-      console.error("element at specified XPath NOT a text node:", xpath, part, cur);
       return null;
     }
 
@@ -153,7 +203,7 @@ allowed.  Offending XPath representation: ${xpath}`
         node = (node: any).parentNode;
         if (node === this.root || node == null) {
           throw new Error("Invalid state: expected highlight container or text node");
-        } else if (!isHighlight(node)) {
+        } else if (!isHighlight(node, this.signature)) {
           return offset;
         } else if (node.previousSibling != null) {
           break;
@@ -161,7 +211,9 @@ allowed.  Offending XPath representation: ${xpath}`
       }
 
       node = (node.previousSibling: any);
-      if (!this.isLikeText_(node)) {
+      if (this.policy.excludes(node)) {
+        continue;
+      } else if (!this.isLikeText_(node)) {
         break;
       }
 
@@ -172,6 +224,36 @@ allowed.  Offending XPath representation: ${xpath}`
     return offset;
   }
 
+  /**
+   * Calculate the length of the normalised text node a specified text node starts
+   *
+   * The length is the combined length of the set of contiguous text or highlight container nodes
+   * starting at `node`, or at its outermost highlight container if it is nested in any.  `node` is
+   * therefore expected to be the first text node in the set, as returned by `elementAt`.
+   *
+   * @param {Node} node - Text node
+   * @returns {number} Length of the normalised text node
+   */
+  length(node: Node): number {
+    let length = 0;
+
+    if (node == null || node.nodeType !== 3) {
+      throw new Error("Invalid or no text node specified");
+    }
+
+    for (let cur = this.skip_(node); cur != null; cur = (cur.nextSibling: any)) {
+      if (this.policy.excludes(cur)) {
+        continue;
+      } else if (!this.isLikeText_(cur)) {
+        break;
+      }
+
+      length += this.length_(cur);
+    }
+
+    return length;
+  }
+
   /**
    * Calculate the length of all text nodes in a specified sub-tree
    *
@@ -213,7 +295,7 @@ allowed.  Offending XPath representation: ${xpath}`
       while (node != null) {
         // Skip to first highlight container element
         const parent = (node.parentNode: any);
-        if (parent === this.root || !isHighlight(parent)) {
+        if (parent === this.root || !isHighlight(parent, this.signature)) {
           break;
         }
 
@@ -250,7 +332,8 @@ allowed.  Offending XPath representation: ${xpath}`
       if (
         !this.isLikeText_(node) &&
         (node: any).nodeName.toLowerCase() === name &&
-        node.nodeType !== Node.DOCUMENT_TYPE_NODE
+        node.nodeType !== Node.DOCUMENT_TYPE_NODE &&
+        !this.policy.excludes(node)
       ) {
         ++index;
       }
@@ -294,8 +377,11 @@ allowed.  Offending XPath representation: ${xpath}`
     node = this.skip_(node);
     while ((node = (node: any).previousSibling) != null) {
       // Don't count contiguous text nodes or highlight containers as being separate nodes.  IOW,
-      // contiguous text nodes or highlight containers are treated as ONE element.
-      if (this.isLikeText_(node)) {
+      // contiguous text nodes or highlight containers are treated as ONE element.  Excluded elements
+      // are skipped altogether.
+      if (this.policy.excludes(node)) {
+        continue;
+      } else if (this.isLikeText_(node)) {
         if (wast) {
           continue;
         } else {
@@ -318,7 +404,7 @@ allowed.  Offending XPath representation: ${xpath}`
    * @returns {boolean} - `true` if node is of text type of highlight container
    */
   isLikeText_(node: Node): boolean {
-    return node.nodeType === 3 || isHighlight(node);
+    return node.nodeType === 3 || isHighlight(node, this.signature);
   }
 
   /**
@@ -347,8 +433,8 @@ allowed.  Offending XPath representation: ${xpath}`
     }
 
     let matchedPart;
-    // *Attempt* to retrieve element's index.  If an exception is thrown, produce a meaningful
-    // error but re-throw since the XPath representation is clearly invalid.
+    // *Attempt* to retrieve element's index.  If an exception is thrown, throw a meaningful error
+    // instead since the XPath representation is clearly invalid.
     try {
       // Note that `any` casts below are deliberate since the code is within a try-catch block.
       const match = part.match(/([^[]+)\[(\d+)\]/);
@@ -358,8 +444,7 @@ allowed.  Offending XPath representation: ${xpath}`
         throw new Error("Invalid index: " + index);
       }
     } catch (x) {
-      console.error(`failed to extract child index: ${part}`);
-      throw x;
+      throw new Error(`Failed to extract child index: ${part}`);
     }
 
     return { tag: matchedPart.toLowerCase(), index };
@@ -381,8 +466,9 @@ allowed.  Offending XPath representation: ${xpath}`
     for (let i = 0, l = ch.length; i < l; ++i) {
       node = ch[i];
 
-      // Skip highlight containers since tag could be `span´, the same as highlight containers.
-      if (isHighlight(node)) {
+      // Skip highlight containers since tag could be `span´, the same as highlight containers, and
+      // excluded elements.
+      if (isHighlight(node, this.signature) || this.policy.excludes(node)) {
         continue;
       } else if (node.nodeName.toLowerCase() === tag) {
         if (index === 0) {
@@ -392,7 +478,6 @@ allowed.  Offending XPath representation: ${xpath}`
       }
     }
 
-    console.error(`failed to locate tag '${tag}' at index ${String(index)}`);
     return null;
   }
 
@@ -412,8 +497,11 @@ allowed.  Offending XPath representation: ${xpath}`
     for (let i = 0, l = ch.length; i < l; ++i) {
       node = ch[i];
 
-      // Don't count contiguous text or highlight container nodes and ignore non-text nodes
-      if (this.isLikeText_(node)) {
+      // Don't count contiguous text or highlight container nodes and ignore non-text nodes.
+      // Excluded elements are skipped altogether.
+      if (this.policy.excludes(node)) {
+        continue;
+      } else if (this.isLikeText_(node)) {
         if (wast) {
           continue;
         } else {
@@ -427,7 +515,7 @@ allowed.  Offending XPath representation: ${xpath}`
       // We have got a potential match when `index´ === 0
       if (index === 0) {
         // Skip to first text node if currently on a highlight container
-        while (isHighlight(node)) {
+        while (isHighlight(node, this.signature)) {
           ch = node.childNodes;
           if (ch.length === 0 || !this.isLikeText_(ch[0])) {
             throw new Error(
@@ -440,7 +528,6 @@ allowed.  Offending XPath representation: ${xpath}`
 
         // Ensure tag sought after is the right one
         if (node.nodeType !== 3) {
-          console.error(`failed to locate text node at index ${String(index)}`);
           return null;
         }
 
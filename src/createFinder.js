@@ -1,24 +1,35 @@
 // @flow
 
-import type { QuerySubject } from "./typedefs";
+import type { FinderOptions, QuerySubject } from "./typedefs";
 import TextContent from "./TextContent";
 import Finder from "./Finder";
 import TextFinder from "./TextFinder";
 import XPathFinder from "./XPathFinder";
+import SelectorFinder from "./SelectorFinder";
+import TextQuoteFinder from "./TextQuoteFinder";
+import TextPositionFinder from "./TextPositionFinder";
 
 /**
  * Construct appropriate `Finder`-derived class for a given subject
  *
  * @param {TextContent} content - reference to `TextContent` holding a text representation of the
  * document
- * @param {TextSubject | XPathSubject} subject - subject to find; can be of `string` or `RegExp`
- * type
+ * @param {QuerySubject} subject - subject to find; can be of `string` or `RegExp` type, an XPath
+ * or CSS selector range, a text quote or a text position
+ * @param {FinderOptions} [options={}] - options applicable to the finder constructed
  *
  * @returns {Finder} finder instance ready for use
  */
-export default function createFinder(content: TextContent, query: QuerySubject): Finder {
+export default function createFinder(
+  content: TextContent,
+  query: QuerySubject,
+  options: FinderOptions = {}
+): Finder {
   if (TextFinder.isQuery(query)) return new TextFinder(content, (query: any));
-  else if (XPathFinder.isQuery(query)) return new XPathFinder(content, (query: any));
+  else if (XPathFinder.isQuery(query)) return new XPathFinder(content, (query: any), options);
+  else if (SelectorFinder.isQuery(query)) return new SelectorFinder(content, (query: any), options);
+  else if (TextQuoteFinder.isQuery(query)) return new TextQuoteFinder(content, (query: any));
+  else if (TextPositionFinder.isQuery(query)) return new TextPositionFinder(content, (query: any));
 
   throw new Error("Unknown or invalid query");
 }
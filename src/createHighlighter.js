@@ -2,16 +2,40 @@
 
 import merge from "merge";
 
-import type { IIdGenerator } from "./interfaces";
+import type { IHighlightStorage, IIdGenerator } from "./interfaces";
 import DonHighlights from "./DonHighlights";
 import type { IHighlightDecorator } from "./Highlight";
 import IdGenerator from "./IdGenerator";
 import HighlightDecorator from "./HighlightDecorator";
+import CustomHighlightRenderer from "./CustomHighlightRenderer";
+import OverlayRenderer from "./OverlayRenderer";
+import Autosave from "./Autosave";
+import type { AutosaveOptions } from "./Autosave";
+import type { ExclusionOptions } from "./ExclusionPolicy";
+
+// Renderers that highlights can be rendered by: `dom` wraps highlighted text in elements,
+// `highlights` registers ranges with the CSS Custom Highlight API and `overlay` draws boxes over
+// highlighted text in a separate layer, the last two without mutating the DOM of the content.
+export type RendererKind = "dom" | "highlights" | "overlay";
 
 export type Options = {|
   container?: HTMLElement,
   idGenerator?: IIdGenerator,
   decorator?: IHighlightDecorator,
+  storage?: IHighlightStorage,
+  autosave?: AutosaveOptions,
+  live?: boolean,
+  watchdog?: boolean,
+  pending?: boolean,
+  shadow?: boolean,
+  shadowStyles?: string,
+  frames?: boolean,
+  frameStyles?: string,
+  exclude?: ExclusionOptions,
+  blocks?: boolean,
+  collapse?: boolean,
+  fold?: boolean,
+  renderer?: RendererKind,
 |};
 
 const defaultOptions: Options = {
@@ -37,9 +61,41 @@ export default function createHighlighter(
   }
   options = merge({}, defaultOptions, options);
 
-  return new DonHighlights(
+  const decorator = options.decorator || new HighlightDecorator();
+  const instance = new DonHighlights(
     options.container,
     options.idGenerator || new IdGenerator(),
-    options.decorator || new HighlightDecorator()
+    decorator
   );
+
+  if (options.renderer === "highlights") {
+    if (!CustomHighlightRenderer.isSupported()) {
+      throw new Error("CSS Custom Highlight API not supported");
+    }
+
+    instance.setRenderer(new CustomHighlightRenderer(instance.content, decorator));
+  } else if (options.renderer === "overlay") {
+    instance.setRenderer(new OverlayRenderer(instance.content, decorator));
+  } else if (options.renderer != null && options.renderer !== "dom") {
+    throw new Error(`Invalid renderer: ${options.renderer}`);
+  }
+
+  if (options.exclude != null) instance.setExclusion(options.exclude);
+  if (options.blocks === true) instance.setBlocks(true);
+  if (options.collapse === true) instance.setCollapse(true);
+  if (options.fold === true) instance.setFold(true);
+  if (options.shadow === true) instance.setShadow(true, options.shadowStyles);
+  if (options.frames === true) instance.setFrames(true, options.frameStyles);
+  if (options.live === true) instance.setLive(true);
+  if (options.watchdog === true) instance.setWatchdog(true);
+  if (options.pending === true) instance.setPending(true);
+
+  // Restore highlights held in storage, if any, and save them automatically from then on.
+  if (options.storage != null) {
+    const autosave = new Autosave(instance, options.storage, options.autosave);
+    instance.setAutosave(autosave);
+    autosave.restore().catch((x) => console.error("failed to restore highlights:", x));
+  }
+
+  return instance;
 }
@@ -16,9 +16,38 @@ export function insertAfter(newNode: Node, afterNode: Node): Node {
   return newNode;
 }
 
+/**
+ * Determine if an element is visible within the viewport
+ *
+ * Elements inside frames are only in view when the frames hosting them are also in view.
+ *
+ * @param {HTMLElement} el - Element to check
+ * @returns {boolean} `true` if the element is in view
+ */
 export function isInView(el: HTMLElement): boolean {
-  const bbox = el.getBoundingClientRect();
-  return bbox.top >= 0 && bbox.top + bbox.height < window.innerHeight;
+  for (let it: any = el; it != null; it = frameElementOf(it)) {
+    const view = it.ownerDocument.defaultView || window;
+    const bbox = it.getBoundingClientRect();
+    if (bbox.top < 0 || bbox.top + bbox.height >= view.innerHeight) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Scroll an element into view
+ *
+ * Elements inside frames are scrolled into view within their frames, and the frames hosting them
+ * into view within their parent documents.
+ *
+ * @param {HTMLElement} el - Element to scroll into view
+ */
+export function scrollIntoView(el: HTMLElement): void {
+  for (let it: any = el; it != null; it = frameElementOf(it)) {
+    it.scrollIntoView();
+  }
 }
 
 /**
@@ -126,6 +155,155 @@ export function calculateBoundingRect(rects: Array<DOMRect>): DOMRect {
   return new DOMRect(x0, y0, x1 - x0, y1 - y0);
 }
 
-export function getSelectorForHighlightId(id: string): string {
-  return `[data-dh-highlight-id="${id}"]`;
+/**
+ * Return the CSS selector matching the elements of a highlight
+ *
+ * @param {string} id - Highlight identifier
+ * @param {string} [signature] - Signature of the `DonHighlights` instance the highlight belongs to,
+ * which restricts matches to the elements of that instance
+ * @returns {string} CSS selector
+ */
+export function getSelectorForHighlightId(id: string, signature?: ?string): string {
+  // Elements covered by overlapping highlights list the identifiers of all of them.
+  const selector = `[data-dh-highlight-id~="${id}"]`;
+  return signature == null ? selector : `[data-dh-highlight="${signature}"]${selector}`;
+}
+
+/**
+ * Determine if a node is a shadow root
+ *
+ * @param {Node} node - Node to check
+ * @returns {boolean} `true` if `node` is a shadow root
+ */
+export function isShadowRoot(node: Node): boolean {
+  return node.nodeType === Node.DOCUMENT_FRAGMENT_NODE && (node: any).host != null;
+}
+
+/**
+ * Return the open shadow root of an element, if any
+ *
+ * @param {Node} node - Node whose shadow root to return
+ * @returns {?Node} Open shadow root or `null` if the node has none or it is closed
+ */
+export function shadowRootOf(node: Node): ?Node {
+  return node.nodeType === Node.ELEMENT_NODE ? (node: any).shadowRoot : null;
+}
+
+/**
+ * Return the body of the same-origin document loaded in a frame element, if any
+ *
+ * @param {Node} node - Frame element whose document's body to return
+ * @returns {?Node} Body element or `null` if the node is not a frame element, the frame has not
+ * loaded or its document is not same-origin
+ */
+export function frameBodyOf(node: Node): ?Node {
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return null;
+  }
+
+  const { tagName } = (node: any);
+  if (tagName !== "IFRAME" && tagName !== "FRAME") {
+    return null;
+  }
+
+  // `contentDocument` is `null` when the frame's document is not same-origin.
+  const doc = (node: any).contentDocument;
+  return doc != null ? doc.body : null;
+}
+
+/**
+ * Return the frame element hosting the document of a node, if any
+ *
+ * @param {Node} node - Node whose frame element to return
+ * @returns {?HTMLElement} Frame element or `null` if the node's document is not loaded in a frame
+ * or the parent document is not same-origin
+ */
+export function frameElementOf(node: Node): ?HTMLElement {
+  const doc = node.nodeType === Node.DOCUMENT_NODE ? (node: any) : node.ownerDocument;
+  const view = doc != null ? doc.defaultView : null;
+  return view != null ? view.frameElement : null;
+}
+
+/**
+ * Determine if a node is the body of a document loaded in a frame
+ *
+ * @param {Node} node - Node to check
+ * @returns {boolean} `true` if `node` is the body of a frame's document
+ */
+export function isFrameBody(node: Node): boolean {
+  const doc: any = node.ownerDocument;
+  return doc != null && doc.body === node && frameElementOf(doc) != null;
+}
+
+/**
+ * Return the first child of a node in the composed tree
+ *
+ * When descending into shadow roots, the first child of an element hosting an open shadow root is
+ * the shadow root itself, which is followed by the element's light DOM children.  Likewise, when
+ * descending into frames, the first child of a frame element is the body of its same-origin
+ * document, followed by the frame element's fallback content.
+ *
+ * @param {Node} node - Node whose first child to return
+ * @param {boolean} shadow - Whether to descend into open shadow roots
+ * @param {boolean} [frames=false] - Whether to descend into same-origin frames
+ * @returns {?Node} First child or `null` if none
+ */
+export function firstChildOf(node: Node, shadow: boolean, frames: boolean = false): ?Node {
+  return (shadow && shadowRootOf(node)) || (frames && frameBodyOf(node)) || node.firstChild;
+}
+
+/**
+ * Return the next sibling of a node in the composed tree
+ *
+ * See `firstChildOf`.  The next sibling of a shadow root is the first light DOM child of its host,
+ * and that of a frame's body the first child of its frame element.
+ *
+ * @param {Node} node - Node whose next sibling to return
+ * @returns {?Node} Next sibling or `null` if none
+ */
+export function nextSiblingOf(node: Node): ?Node {
+  if (isShadowRoot(node)) {
+    return (node: any).host.firstChild;
+  } else if (isFrameBody(node)) {
+    return (frameElementOf(node): any).firstChild;
+  }
+
+  return node.nextSibling;
+}
+
+/**
+ * Return the parent of a node in the composed tree
+ *
+ * The parent of a shadow root is its host, and that of a frame's body or document the frame
+ * element.
+ *
+ * @param {Node} node - Node whose parent to return
+ * @returns {?Node} Parent or `null` if none
+ */
+export function parentOf(node: Node): ?Node {
+  if (isShadowRoot(node)) {
+    return (node: any).host;
+  } else if (node.nodeType === Node.DOCUMENT_NODE || isFrameBody(node)) {
+    return frameElementOf(node);
+  }
+
+  return node.parentNode;
+}
+
+/**
+ * Determine if a node is a descendant of another in the composed tree
+ *
+ * Unlike `Node.contains`, crosses shadow boundaries from shadow trees to their hosts and frame
+ * boundaries from frame documents to their frame elements.
+ *
+ * @param {Node} root - Node expected to contain `node`
+ * @param {Node} node - Node to check
+ * @returns {boolean} `true` if `node` is `root` or a descendant of it
+ */
+export function containsComposed(root: Node, node: Node): boolean {
+  for (let it = node; it != null; it = parentOf((it: any).getRootNode())) {
+    if (root.contains(it)) return true;
+  }
+
+  return false;
 }
@@ -0,0 +1,173 @@
+// @flow
+
+export type FuzzyMatch = {| start: number, end: number, errors: number |};
+
+/**
+ * Return the default edit-distance budget for a given pattern
+ *
+ * @param {string} pattern - Pattern to be matched
+ * @returns {number} Maximum number of errors allowed, or a fifth of the pattern's length
+ */
+export function defaultMaxErrors(pattern: string): number {
+  return Math.floor(pattern.length / 5);
+}
+
+/**
+ * Find the best approximate match of a pattern in a text
+ *
+ * Employs Sellers' algorithm to find the substrings of `text` whose edit (Levenshtein) distance to
+ * `pattern` does not exceed `maxErrors`, with Ukkonen's cut-off heuristic limiting the rows of the
+ * dynamic programming matrix that are computed.  Of all matches found, the one with the fewest
+ * errors is returned.  Ties are resolved by picking the match closest to `near`, when specified,
+ * or the first match otherwise.
+ *
+ * @param {string} text - Text to search
+ * @param {string} pattern - Pattern to find
+ * @param {number} maxErrors - Maximum edit distance allowed
+ * @param {number} [near] - Offset where the match is expected to be found
+ * @param {number} [from=0] - Offset where to start searching
+ * @param {number} [to=text.length] - Offset where to stop searching
+ *
+ * @returns {?FuzzyMatch} Best match, with an exclusive `end` offset, or `null` if none found
+ */
+export function approximateSearch(
+  text: string,
+  pattern: string,
+  maxErrors: number,
+  near?: ?number,
+  from: number = 0,
+  to: number = text.length
+): ?FuzzyMatch {
+  const m = pattern.length;
+  if (m < 1 || maxErrors < 0) return null;
+
+  const big = maxErrors + 1;
+  let prev = new Int32Array(m + 1);
+  let prevStart = new Int32Array(m + 1);
+  let cur = new Int32Array(m + 1);
+  let curStart = new Int32Array(m + 1);
+  let best: ?FuzzyMatch = null;
+
+  for (let i = 0; i <= m; ++i) {
+    prev[i] = i;
+    prevStart[i] = from;
+  }
+
+  // Index of the last row of the previous column whose value is within budget.
+  let last = Math.min(maxErrors, m);
+
+  for (let j = from + 1; j <= to; ++j) {
+    const c = text[j - 1];
+    const top = Math.min(m, last + 1);
+    cur[0] = 0;
+    curStart[0] = j;
+
+    for (let i = 1; i <= top; ++i) {
+      // Substitution or match
+      let d = prev[i - 1] + (pattern[i - 1] === c ? 0 : 1);
+      let s = prevStart[i - 1];
+
+      // Text character skipped; rows beyond `last` in the previous column are out of budget.
+      const left = (i <= last ? prev[i] : big) + 1;
+      if (left < d) {
+        d = left;
+        s = prevStart[i];
+      }
+
+      // Pattern character skipped
+      const up = cur[i - 1] + 1;
+      if (up < d) {
+        d = up;
+        s = curStart[i - 1];
+      }
+
+      cur[i] = d;
+      curStart[i] = s;
+    }
+
+    last = top;
+    while (last > 0 && cur[last] > maxErrors) --last;
+
+    if (last === m && isBetter(cur[m], curStart[m], best, near)) {
+      best = { start: curStart[m], end: j, errors: cur[m] };
+    }
+
+    let swap = prev;
+    prev = cur;
+    cur = swap;
+    swap = prevStart;
+    prevStart = curStart;
+    curStart = swap;
+  }
+
+  return best;
+}
+
+/**
+ * Find the best approximate match of a pattern in a window of a text around an offset
+ *
+ * The window extends from `near` by the length of the pattern plus the edit-distance budget in
+ * either direction, which is enough to hold a match starting at `near` or overlapping it.
+ *
+ * @param {string} text - Text to search
+ * @param {string} pattern - Pattern to find
+ * @param {number} maxErrors - Maximum edit distance allowed
+ * @param {number} near - Offset where the match is expected to be found
+ *
+ * @returns {?FuzzyMatch} Best match, with an exclusive `end` offset, or `null` if none found
+ */
+export function approximateSearchAround(
+  text: string,
+  pattern: string,
+  maxErrors: number,
+  near: number
+): ?FuzzyMatch {
+  const slack = pattern.length + maxErrors;
+  return approximateSearch(
+    text,
+    pattern,
+    maxErrors,
+    near,
+    Math.max(0, near - slack),
+    Math.min(text.length, near + pattern.length + slack)
+  );
+}
+
+/**
+ * Find the best approximate match of a pattern in a text, looking near an offset first
+ *
+ * When `near` is specified, a window around it is searched before resorting to searching the whole
+ * text, which is considerably cheaper in the common case of the text having moved only a little.
+ *
+ * @param {string} text - Text to search
+ * @param {string} pattern - Pattern to find
+ * @param {number} maxErrors - Maximum edit distance allowed
+ * @param {number} [near] - Offset where the match is expected to be found
+ *
+ * @returns {?FuzzyMatch} Best match, with an exclusive `end` offset, or `null` if none found
+ */
+export function approximateSearchNear(
+  text: string,
+  pattern: string,
+  maxErrors: number,
+  near?: ?number
+): ?FuzzyMatch {
+  if (near != null) {
+    const match = approximateSearchAround(text, pattern, maxErrors, near);
+    if (match != null) return match;
+  }
+
+  return approximateSearch(text, pattern, maxErrors, near);
+}
+
+//  Private interface
+// ----------------------------------------
+function isBetter(errors: number, start: number, best: ?FuzzyMatch, near: ?number): boolean {
+  if (best == null || errors < best.errors) {
+    return true;
+  } else if (errors > best.errors || near == null) {
+    return false;
+  }
+
+  return Math.abs(start - near) < Math.abs(best.start - near);
+}
@@ -1,17 +1,67 @@
 // @flow
 
-export type { XPathRange, QuerySubject } from "./typedefs";
+export type {
+  XPathRange,
+  SelectorRange,
+  TextQuote,
+  TextPosition,
+  QuerySubject,
+  FuzzyOptions,
+  FinderOptions,
+  VerifyMode,
+  VerifyOptions,
+} from "./typedefs";
+export type { SnapshotJSON, RestoreResult, RestoreOptions } from "./DonHighlights";
+export type { GroupJSON, Orphan, Pending } from "./Group";
+export type { AnchorFailure } from "./AnchorError";
+export type { IHighlightStorage, IHighlightRenderer } from "./interfaces";
+export type { AutosaveOptions } from "./Autosave";
+export type { ExclusionOptions, ExclusionPredicate } from "./ExclusionPolicy";
+export type { HighlightJSON, HighlightAnchor } from "./Highlight";
+export type { SchemaKind, Migration } from "./schema";
 export { default as createHighlighter } from "./createHighlighter";
 export * from "./createHighlighter";
 export { default as createFinder } from "./createFinder";
-export { getSelectorForHighlightId } from "./dom";
+export { getSelectorForHighlightId, containsComposed } from "./dom";
+export { hashText, fold, foldText } from "./util";
 export * from "./HighlightRenderer"; // skipping default
+export { default as HighlightRenderer } from "./HighlightRenderer";
+export { default as CustomHighlightRenderer } from "./CustomHighlightRenderer";
+export { default as OverlayRenderer } from "./OverlayRenderer";
+export {
+  highlightNameOf,
+  DISABLED_HIGHLIGHT_NAME,
+  ACTIVE_HIGHLIGHT_NAME,
+} from "./CustomHighlightRenderer";
+export * from "./webAnnotation";
+export {
+  SCHEMA_VERSION,
+  registerMigration,
+  migrate,
+  parseHighlight,
+  parseGroup,
+  parseSnapshot,
+} from "./schema";
 
 export { default as DonHighlights } from "./DonHighlights";
 export { default as Group } from "./Group";
+export { default as ExclusionPolicy } from "./ExclusionPolicy";
 export { default as Highlight } from "./Highlight";
 export { default as TextFinder } from "./TextFinder";
 export { default as XPathFinder } from "./XPathFinder";
+export { default as SelectorFinder } from "./SelectorFinder";
+export { default as TextQuoteFinder } from "./TextQuoteFinder";
+export { default as TextPositionFinder } from "./TextPositionFinder";
 export { default as RangeTranslator } from "./RangeTranslator";
 export { default as XPathResolver } from "./XPathResolver";
+export { default as SelectorResolver } from "./SelectorResolver";
 export { default as TextRange } from "./TextRange";
+export { default as OffsetMap } from "./OffsetMap";
+export { default as ContentObserver } from "./ContentObserver";
+export { default as Watchdog } from "./Watchdog";
+export { default as PendingObserver } from "./PendingObserver";
+export { default as AnchorError } from "./AnchorError";
+export { default as Autosave, createStorageKey } from "./Autosave";
+export { default as MemoryStorage } from "./MemoryStorage";
+export { default as WebStorage } from "./WebStorage";
+export { default as IndexedDBStorage } from "./IndexedDBStorage";
@@ -1,10 +1,48 @@
 // @flow
 
 import Highlight from "./Highlight";
+import type { SnapshotJSON } from "./DonHighlights";
 
 export interface IIdGenerator {
   generate(): string;
 }
 
+/**
+ * Interface of highlight storage adapters
+ *
+ * Adapters persist snapshots produced by `DonHighlights.serialize` under a given key, which
+ * usually identifies a document and the container element highlights were created in.  `load`
+ * resolves to `null` if no snapshot exists under the key.
+ */
+export interface IHighlightStorage {
+  load(key: string): Promise<?SnapshotJSON>;
+  save(key: string, snapshot: SnapshotJSON): Promise<void>;
+  remove(key: string): Promise<void>;
+}
+
+/**
+ * Interface of highlight renderers
+ *
+ * Renderers make highlights visible on the page and are responsible for everything that depends
+ * on how highlights are rendered: their decoration, removal, active state and geometry.  The
+ * elements returned by `surround` become the highlight's elements, which renderers that do not
+ * create elements leave empty.
+ */
+export interface IHighlightRenderer {
+  // CSS injected into shadow roots and frame documents that highlights are rendered in.
+  shadowStyles: ?string;
+  frameStyles: ?string;
+
+  surround(highlight: Highlight): Array<HTMLElement>;
+  decorate(highlight: Highlight): void;
+  detach(highlight: Highlight, join?: boolean): void;
+  setActive(highlight: Highlight): void;
+  setInactive(highlight: Highlight): void;
+  isDetached(highlight: Highlight, container: Node): boolean;
+  getBounds(highlight: Highlight): Array<DOMRect>;
+  getElement(highlight: Highlight): ?HTMLElement;
+  dispose(): void;
+}
+
 export type ForEachPredicate = (Highlight) => void;
 export type SomePredicate = (Highlight) => boolean;
@@ -0,0 +1,207 @@
+// @flow
+
+import type { HighlightJSON } from "./Highlight";
+import type { GroupJSON } from "./Group";
+import type { SnapshotJSON } from "./DonHighlights";
+import { hashText } from "./util";
+
+export type SchemaKind = "highlight" | "group";
+
+// Function migrating a payload from the version it is registered under to the next version.  It
+// need not update the payload's `version` attribute.
+export type Migration = (json: Object) => Object;
+
+/**
+ * Current version of serialized highlights and groups
+ *
+ * Version 1 refers to payloads produced before versioning was introduced, which carry no `version`
+ * attribute.  The version must be bumped, and a migration registered from the previous version,
+ * whenever the serialized format or the semantics of any of its parts change -- e.g. the way XPath
+ * expressions are computed by `XPathResolver`.
+ */
+export const SCHEMA_VERSION = 2;
+
+const migrations: Map<SchemaKind, Map<number, Migration>> = new Map([
+  ["highlight", new Map()],
+  ["group", new Map()],
+]);
+
+/**
+ * Register a migration of a kind of payload
+ *
+ * @param {SchemaKind} kind - Kind of payload the migration applies to
+ * @param {number} from - Version the migration migrates from to the next version
+ * @param {Migration} migration - Migration function
+ */
+export function registerMigration(kind: SchemaKind, from: number, migration: Migration): void {
+  const registry = migrations.get(kind);
+  if (registry == null) {
+    throw new Error(`Invalid payload kind: ${kind}`);
+  } else if (!Number.isInteger(from) || from < 1 || from >= SCHEMA_VERSION) {
+    throw new Error(`Invalid migration version: ${from}`);
+  }
+
+  registry.set(from, migration);
+}
+
+/**
+ * Get the version of a payload
+ *
+ * @param {Object} json - Payload
+ * @param {string} path - Path to the payload, used in error messages
+ * @returns {number} Version of the payload
+ */
+export function versionOf(json: Object, path: string = "$"): number {
+  const { version } = json;
+  if (version === undefined) return 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid payload at ${path}: version must be a positive integer`);
+  } else if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Invalid payload at ${path}: version ${version} is newer than supported (${SCHEMA_VERSION})`
+    );
+  }
+
+  return version;
+}
+
+/**
+ * Migrate a payload to the current version
+ *
+ * Payloads are migrated one version at a time by applying the migrations registered for each
+ * version in turn.
+ *
+ * @param {SchemaKind} kind - Kind of payload
+ * @param {Object} json - Payload to migrate
+ * @param {string} path - Path to the payload, used in error messages
+ * @returns {Object} Payload at the current version
+ */
+export function migrate(kind: SchemaKind, json: Object, path: string = "$"): Object {
+  const registry = migrations.get(kind);
+  if (registry == null) throw new Error(`Invalid payload kind: ${kind}`);
+
+  let version = versionOf(json, path);
+  while (version < SCHEMA_VERSION) {
+    const migration = registry.get(version);
+    if (migration == null) {
+      throw new Error(`No migration of ${kind} payload from version ${version} (at ${path})`);
+    }
+
+    json = { ...migration(json), version: ++version };
+  }
+
+  return json;
+}
+
+/**
+ * Validate and migrate a serialized highlight
+ *
+ * @param {mixed} json - Serialized highlight of any supported version
+ * @param {string} path - Path to the payload, used in error messages
+ * @returns {HighlightJSON} Highlight at the current version
+ */
+export function parseHighlight(json: mixed, path: string = "$"): HighlightJSON {
+  expectObject(json, path);
+  const migrated = migrate("highlight", (json: any), path);
+
+  expectString(migrated.id, `${path}.id`);
+  expectObject(migrated.range, `${path}.range`);
+  for (const key of ["start", "end"]) {
+    const boundary = migrated.range[key];
+    expectObject(boundary, `${path}.range.${key}`);
+    expectString(boundary.xpath, `${path}.range.${key}.xpath`);
+    expectOffset(boundary.offset, `${path}.range.${key}.offset`);
+  }
+
+  for (const key of ["text", "hash"]) {
+    if (migrated[key] !== undefined && typeof migrated[key] !== "string") {
+      throw new Error(`Invalid payload at ${path}.${key}: expected string`);
+    }
+  }
+
+  return migrated;
+}
+
+/**
+ * Validate and migrate a serialized group and its highlights
+ *
+ * @param {mixed} json - Serialized group of any supported version
+ * @param {string} path - Path to the payload, used in error messages
+ * @returns {GroupJSON} Group at the current version
+ */
+export function parseGroup(json: mixed, path: string = "$"): GroupJSON {
+  expectObject(json, path);
+  const migrated = migrate("group", (json: any), path);
+
+  expectString(migrated.name, `${path}.name`);
+  if (typeof migrated.enabled !== "boolean") {
+    throw new Error(`Invalid payload at ${path}.enabled: expected boolean`);
+  }
+
+  expectArray(migrated.highlights, `${path}.highlights`);
+  return {
+    ...migrated,
+    highlights: migrated.highlights.map((hl, i) => parseHighlight(hl, `${path}.highlights[${i}]`)),
+  };
+}
+
+/**
+ * Validate and migrate a snapshot
+ *
+ * @param {mixed} json - Snapshot holding serialized groups of any supported version
+ * @returns {SnapshotJSON} Snapshot holding groups at the current version
+ */
+export function parseSnapshot(json: mixed): SnapshotJSON {
+  expectObject(json, "$");
+  const { groups } = (json: any);
+  expectArray(groups, "$.groups");
+  return { groups: groups.map((g, i) => parseGroup(g, `$.groups[${i}]`)) };
+}
+
+/**
+ * Migrate a highlight serialized before versioning was introduced
+ *
+ * Unversioned highlights were serialized as a bare XPath range, `{start, end}`, and are wrapped
+ * with an identifier derived from the range, so that migrating the same payload again, e.g. every
+ * time it is restored, produces the same identifier.  Unversioned payloads that already hold a
+ * range migrate as they are.
+ *
+ * @param {Object} json - Unversioned highlight
+ * @returns {Object} Highlight at version 2
+ */
+export function migrateUnversionedHighlight(json: Object): Object {
+  if (json.range !== undefined || json.start === undefined || json.end === undefined) {
+    return json;
+  }
+
+  const { start, end } = json;
+  const id = hashText(`${start.xpath}:${start.offset}|${end.xpath}:${end.offset}`);
+  return { id, range: json, state: undefined };
+}
+
+registerMigration("highlight", 1, migrateUnversionedHighlight);
+registerMigration("group", 1, (json) => json);
+
+function expectObject(value: mixed, path: string): void {
+  if (value == null || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`Invalid payload at ${path}: expected object`);
+  }
+}
+
+function expectArray(value: mixed, path: string): void {
+  if (!Array.isArray(value)) {
+    throw new Error(`Invalid payload at ${path}: expected array`);
+  }
+}
+
+function expectString(value: mixed, path: string): void {
+  if (typeof value !== "string" || value.length < 1) {
+    throw new Error(`Invalid payload at ${path}: expected non-empty string`);
+  }
+}
+
+function expectOffset(value: mixed, path: string): void {
+  if (!Number.isInteger(value) || (value: any) < 0) {
+    throw new Error(`Invalid payload at ${path}: expected non-negative integer`);
+  }
+}
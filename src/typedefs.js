@@ -5,5 +5,51 @@ export type XPathRange = {|
   end: {| xpath: string, offset: number |},
 |};
 
+// CSS selector of the parent element of a text node, (1-based) index of the text node amongst its
+// siblings and offset into it.
+export type SelectorBoundary = {| selector: string, index: number, offset: number |};
+
+export type SelectorRange = {|
+  start: SelectorBoundary,
+  end: SelectorBoundary,
+|};
+
+export type TextQuote = {|
+  exact: string,
+  prefix?: string,
+  suffix?: string,
+|};
+
+// Absolute character offsets into the text content, where `end` is exclusive.
+export type TextPosition = {|
+  start: number,
+  end: number,
+|};
+
+// Approximate matching of the text a range is expected to contain, employed as a fallback when a
+// range no longer resolves.  `offset` is the absolute offset where the text is expected to be found
+// and `maxErrors` the maximum edit distance allowed.
+export type FuzzyOptions = {|
+  text: string,
+  offset?: number,
+  maxErrors?: number,
+|};
+
+// Verification of the text a range resolves to against the text it is expected to contain, given
+// either verbatim or as a hash produced by `hashText`.  When the text differs, the range is rejected,
+// flagged as drifted, or the text is searched for near the range, depending on `mode`.
+export type VerifyMode = "reject" | "flag" | "search";
+
+export type VerifyOptions = {|
+  text?: string,
+  hash?: string,
+  mode?: VerifyMode,
+|};
+
+export type FinderOptions = {
+  fuzzy?: FuzzyOptions,
+  verify?: VerifyOptions,
+};
+
 export type TextQuery = string | RegExp;
-export type QuerySubject = TextQuery | XPathRange;
+export type QuerySubject = TextQuery | XPathRange | SelectorRange | TextQuote | TextPosition;
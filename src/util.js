@@ -1,6 +1,22 @@
 // @flow
 
 import Group from "./Group";
+import OffsetMap from "./OffsetMap";
+
+// Blocks of combining diacritical marks, which canonical decomposition separates from their base
+// characters.
+const COMBINING_MARKS = [
+  [0x0300, 0x036f],
+  [0x1ab0, 0x1aff],
+  [0x1dc0, 0x1dff],
+  [0x20d0, 0x20ff],
+  [0xfe20, 0xfe2f],
+];
+
+function isCombiningMark(text: string, index: number): boolean {
+  const code = text.charCodeAt(index);
+  return COMBINING_MARKS.some(([first, last]) => code >= first && code <= last);
+}
 
 export function abstract() {
   throw new Error("Abstract method not implemented");
@@ -18,3 +34,81 @@ export function groupNamesToGroupSet(names: Array<string>, all: Map<string, Grou
     return map;
   }, new Set());
 }
+
+/**
+ * Compute the hash of a string
+ *
+ * Produces the 32-bit FNV-1a hash of the string's UTF-16 code units, in hexadecimal.  The hash is
+ * not cryptographically secure and only meant to detect changes to text.
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} Hash of the text
+ */
+export function hashText(text: string): string {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; ++i) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Fold a text for comparison, mapping its offsets to those of the folded text
+ *
+ * Every character of the text is folded together with the combining marks following it: the
+ * characters are decomposed canonically (NFD), their combining marks removed and the result
+ * converted to lower case.  Texts differing only in case, diacritics or Unicode normalization form
+ * therefore fold to the same text, e.g. both "Résumé" and "resume" fold to "resume".
+ *
+ * @param {string} text - Text to fold
+ * @returns {OffsetMap} Map of the text to the folded text
+ */
+export function fold(text: string): OffsetMap {
+  const map = new OffsetMap();
+  let kept = 0;
+  for (let i = 0; i < text.length; ) {
+    let end = i + 1;
+    const code = text.charCodeAt(i);
+    // Keep surrogate pairs together.
+    if (code >= 0xd800 && code <= 0xdbff && end < text.length) ++end;
+    while (end < text.length && isCombiningMark(text, end)) ++end;
+
+    // Characters other than upper case ASCII letters are never folded by themselves.
+    if (end === i + 1 && code < 0x80 && (code < 0x41 || code > 0x5a)) {
+      i = end;
+      continue;
+    }
+
+    const cluster = text.substring(i, end);
+    const decomposed = cluster.normalize("NFD");
+    let folded = "";
+    for (let j = 0; j < decomposed.length; ++j) {
+      if (!isCombiningMark(decomposed, j)) folded += decomposed[j];
+    }
+
+    folded = folded.toLowerCase();
+    // Copy unchanged characters in runs rather than one at a time.
+    if (folded !== cluster) {
+      map.keep(text.substring(kept, i)).replace(cluster.length, folded);
+      kept = end;
+    }
+
+    i = end;
+  }
+
+  return map.keep(text.substr(kept)).end();
+}
+
+/**
+ * Fold a text for comparison
+ *
+ * See `fold`.
+ *
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+export function foldText(text: string): string {
+  return fold(text).text;
+}
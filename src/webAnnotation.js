@@ -0,0 +1,246 @@
+// @flow
+
+import type { QuerySubject, TextPosition, XPathRange } from "./typedefs";
+import DonHighlights from "./DonHighlights";
+import Highlight from "./Highlight";
+import TextRange from "./TextRange";
+import AnchorError from "./AnchorError";
+import type { AnchorFailure } from "./AnchorError";
+
+export type TextQuoteSelector = {|
+  type: "TextQuoteSelector",
+  exact: string,
+  prefix?: string,
+  suffix?: string,
+|};
+
+export type TextPositionSelector = {|
+  type: "TextPositionSelector",
+  start: number,
+  end: number,
+|};
+
+export type XPathSelector = {|
+  type: "XPathSelector",
+  value: string,
+  refinedBy?: TextPositionSelector,
+|};
+
+export type RangeSelector = {|
+  type: "RangeSelector",
+  startSelector: XPathSelector,
+  endSelector: XPathSelector,
+|};
+
+export type Selector = TextQuoteSelector | TextPositionSelector | RangeSelector;
+
+export type TextualBody = {|
+  type: "TextualBody",
+  purpose: string,
+  value: string,
+  format?: string,
+|};
+
+export type Annotation = {
+  "@context": string,
+  id: string,
+  type: "Annotation",
+  body: TextualBody | Array<TextualBody>,
+  target: { source?: string, selector: Selector | Array<Selector> },
+};
+
+export const ANNOTATION_CONTEXT = "http://www.w3.org/ns/anno.jsonld";
+export const ANNOTATION_ID_PREFIX = "urn:x-dh:";
+const DEFAULT_GROUP = "annotations";
+
+/**
+ * Export a highlight as a W3C Web Annotation
+ *
+ * The annotation targets the highlight's range by way of three selectors, in order of preference:
+ * an XPath-based `RangeSelector`, a `TextPositionSelector` and a `TextQuoteSelector`.  The group
+ * the highlight belongs to is exported as a tagging body and its state, if any, as a JSON-encoded
+ * describing body.
+ *
+ * Note that the XPath expressions produced are relative to the highlighter's container.
+ *
+ * @param {Highlight} highlight - Highlight to export
+ * @param {string} [source] - IRI of the annotated document
+ *
+ * @returns {Annotation} The W3C Web Annotation representation of the highlight
+ */
+export function exportAnnotation(highlight: Highlight, source?: string): Annotation {
+  const { range } = highlight;
+  const xpath = range.computeXPath();
+  const quote = range.computeQuote();
+  const { start, end } = range.computePosition();
+
+  const body = [{ type: "TextualBody", purpose: "tagging", value: highlight.group.name }];
+  if (highlight.state != null) {
+    body.push({
+      type: "TextualBody",
+      purpose: "describing",
+      format: "application/json",
+      value: JSON.stringify(highlight.state),
+    });
+  }
+
+  const target = {
+    selector: [
+      {
+        type: "RangeSelector",
+        startSelector: toXPathSelector(xpath.start),
+        endSelector: toXPathSelector(xpath.end),
+      },
+      { type: "TextPositionSelector", start, end },
+      { type: "TextQuoteSelector", ...quote },
+    ],
+  };
+
+  return {
+    "@context": ANNOTATION_CONTEXT,
+    id: ANNOTATION_ID_PREFIX + highlight.id,
+    type: "Annotation",
+    body,
+    target: source == null ? target : { source, ...target },
+  };
+}
+
+/**
+ * Import a W3C Web Annotation as a highlight
+ *
+ * The annotation's selectors are tried in the order they appear in until one resolves to a range
+ * by way of `DonHighlights.query`.  An XPath-based range is discarded when its text does not match
+ * that of the annotation's `TextQuoteSelector`, if present, so the quote gets a chance to anchor
+ * the highlight instead.
+ *
+ * The highlight is added to the group named by the annotation's tagging body, which is created if
+ * it does not exist, or to `defaultGroup` if the annotation does not specify one.
+ *
+ * Throws an `AnchorError` if none of the selectors resolve, carrying the reason the last selector
+ * tried failed.
+ *
+ * @param {DonHighlights} instance - Highlighter instance to import annotation into
+ * @param {Annotation} annotation - W3C Web Annotation to import
+ * @param {string} [defaultGroup="annotations"] - Name of group to use when annotation has no tag
+ *
+ * @returns {Highlight} The imported highlight
+ */
+export function importAnnotation(
+  instance: DonHighlights,
+  annotation: Annotation,
+  defaultGroup: string = DEFAULT_GROUP
+): Highlight {
+  if (annotation == null || annotation.type !== "Annotation" || annotation.target == null) {
+    throw new Error("Invalid or no Web Annotation specified");
+  }
+
+  // Both the body and the selector properties may contain either a single object or an array of
+  // objects.
+  const body: Array<TextualBody> = [].concat(annotation.body || []);
+  const selectors: Array<Selector> = [].concat(annotation.target.selector || []);
+  const quote: ?TextQuoteSelector = (selectors.find((s) => s.type === "TextQuoteSelector"): any);
+  let range = null;
+  let reason: AnchorFailure = "missing-element";
+
+  for (const selector of selectors) {
+    const subject = toQuerySubject(selector);
+    if (subject == null) continue;
+
+    try {
+      range = queryFirst(instance, subject);
+    } catch (x) {
+      if (x instanceof AnchorError) reason = x.reason;
+      range = null;
+    }
+
+    if (range != null) {
+      if (quote == null || range.toString() === quote.exact) break;
+      reason = "text-mismatch";
+    }
+
+    range = null;
+  }
+
+  if (range == null) {
+    throw new AnchorError(reason, `Unable to anchor annotation: ${annotation.id}`);
+  }
+
+  const tag = body.find((b) => b.purpose === "tagging");
+  const name = tag != null ? tag.value : defaultGroup;
+  const group = instance.has(name) ? instance.group(name) : instance.create(name);
+
+  const id =
+    typeof annotation.id === "string" && annotation.id.startsWith(ANNOTATION_ID_PREFIX)
+      ? annotation.id.substr(ANNOTATION_ID_PREFIX.length)
+      : group.idGenerator.generate();
+
+  const description = body.find(
+    (b) => b.purpose === "describing" && b.format === "application/json"
+  );
+
+  const highlight = new Highlight(
+    group,
+    id,
+    range,
+    description != null ? JSON.parse(description.value) : undefined
+  );
+  group.add(highlight);
+  return highlight;
+}
+
+//  Private interface
+// ----------------------------------------
+function toXPathSelector(boundary: $PropertyType<XPathRange, "start">): XPathSelector {
+  return {
+    type: "XPathSelector",
+    value: boundary.xpath,
+    refinedBy: { type: "TextPositionSelector", start: boundary.offset, end: boundary.offset },
+  };
+}
+
+function fromXPathSelector(selector: XPathSelector): {| xpath: string, offset: number |} {
+  return {
+    xpath: selector.value,
+    offset: selector.refinedBy != null ? selector.refinedBy.start : 0,
+  };
+}
+
+/**
+ * Translate a selector to a subject `DonHighlights.query` understands
+ * @access private
+ *
+ * @param {Selector} selector - Web Annotation selector
+ * @returns {?QuerySubject} Query subject or `null` if selector not supported
+ */
+function toQuerySubject(selector: Selector): ?QuerySubject {
+  if (selector.type === "RangeSelector") {
+    if (
+      selector.startSelector.type !== "XPathSelector" ||
+      selector.endSelector.type !== "XPathSelector"
+    ) {
+      return null;
+    }
+
+    const range: XPathRange = {
+      start: fromXPathSelector(selector.startSelector),
+      end: fromXPathSelector(selector.endSelector),
+    };
+    return range;
+  } else if (selector.type === "TextPositionSelector") {
+    const position: TextPosition = { start: selector.start, end: selector.end };
+    return position;
+  } else if (selector.type === "TextQuoteSelector") {
+    return { exact: selector.exact, prefix: selector.prefix, suffix: selector.suffix };
+  }
+
+  return null;
+}
+
+function queryFirst(instance: DonHighlights, subject: QuerySubject): ?TextRange {
+  let range = null;
+  instance.query(subject, (hit) => {
+    range = hit;
+    return false;
+  });
+  return range;
+}
@@ -0,0 +1,218 @@
+// @flow
+
+import { Autosave, MemoryStorage, WebStorage, createStorageKey } from '../src';
+
+import { instance, attest, tests } from './helpers';
+
+describe('Autosave', function() {
+  function highlightStandard(dh) {
+    const group = dh.has('yellow') ? dh.group('yellow') : dh.create('yellow');
+    dh.query(tests.standard.xpath, hit => {
+      group.highlight(hit);
+    });
+  }
+
+  // Let promise callbacks run.
+  function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('computes storage key from document URL and container', () => {
+    const dh = instance.init();
+    const key = createStorageKey(dh.container);
+    expect(key.startsWith(document.URL.replace(/#.*$/, '') + '|')).toBe(true);
+    expect(key).not.toBe(createStorageKey((document.body: any).firstElementChild));
+  });
+
+  it('memory storage round-trips snapshots', () => {
+    const storage = new MemoryStorage();
+    const snapshot = { groups: [] };
+    return storage
+      .save('key', snapshot)
+      .then(() => storage.load('key'))
+      .then(loaded => {
+        expect(loaded).toEqual(snapshot);
+        expect(loaded).not.toBe(snapshot);
+        return storage.remove('key');
+      })
+      .then(() => storage.load('key'))
+      .then(loaded => expect(loaded).toBe(null));
+  });
+
+  it('web storage round-trips snapshots', () => {
+    const storage = new WebStorage();
+    const snapshot = { groups: [] };
+    return storage
+      .save('key', snapshot)
+      .then(() => {
+        expect(window.localStorage.getItem('dh:key')).toBe(JSON.stringify(snapshot));
+        return storage.load('key');
+      })
+      .then(loaded => {
+        expect(loaded).toEqual(snapshot);
+        return storage.remove('key');
+      })
+      .then(() => storage.load('key'))
+      .then(loaded => expect(loaded).toBe(null));
+  });
+
+  it('saves after a quiet period', () => {
+    const dh = instance.init();
+    const storage = new MemoryStorage();
+    const autosave = new Autosave(dh, storage, { key: 'key', delay: 100 });
+    const spy = jest.spyOn(storage, 'save');
+
+    highlightStandard(dh);
+    dh.create('red');
+    jest.advanceTimersByTime(50);
+    highlightStandard(dh);
+    jest.advanceTimersByTime(50);
+    expect(spy).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(50);
+    expect(spy).toHaveBeenCalledTimes(1);
+    return settle()
+      .then(() => storage.load('key'))
+      .then(snapshot => {
+        expect(snapshot).toEqual(dh.serialize());
+        autosave.dispose();
+      });
+  });
+
+  it('saves when state of highlights or groups changes', () => {
+    const dh = instance.init();
+    const storage = new MemoryStorage();
+    const autosave = new Autosave(dh, storage, { key: 'key', delay: 100 });
+    highlightStandard(dh);
+    const group = dh.group('yellow');
+    const [hl] = Array.from(group.highlights.values());
+
+    return autosave
+      .flush()
+      .then(() => {
+        const spy = jest.spyOn(storage, 'save');
+        hl.setState({ note: 'note' });
+        jest.advanceTimersByTime(100);
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        group.disable();
+        jest.advanceTimersByTime(100);
+        expect(spy).toHaveBeenCalledTimes(2);
+        return settle();
+      })
+      .then(() => storage.load('key'))
+      .then(snapshot => {
+        expect(snapshot && snapshot.groups[0].enabled).toBe(false);
+        expect(snapshot && snapshot.groups[0].highlights[0].state).toEqual({ note: 'note' });
+        autosave.dispose();
+      });
+  });
+
+  it('saves when group removed', () => {
+    const dh = instance.init();
+    const storage = new MemoryStorage();
+    const autosave = new Autosave(dh, storage, { key: 'key' });
+
+    highlightStandard(dh);
+    return autosave
+      .flush()
+      .then(() => {
+        dh.group('yellow').remove();
+        return autosave.flush();
+      })
+      .then(() => storage.load('key'))
+      .then(snapshot => expect(snapshot).toEqual({ groups: [] }));
+  });
+
+  it('restores on creation', () => {
+    let dh = instance.init();
+    const storage = new MemoryStorage();
+    const key = createStorageKey(dh.container);
+    highlightStandard(dh);
+    const snapshot = dh.serialize();
+
+    dh = instance.init(0);
+    dh.dispose();
+    return storage
+      .save(key, snapshot)
+      .then(() => {
+        dh = instance.init(0, { container: document.body, storage });
+        return settle();
+      })
+      .then(() => {
+        attest.totalHighlightsInDOM(1, 1);
+        expect(dh.has('yellow')).toBe(true);
+        // Restoring does not cause a save.
+        expect(dh.autosave && dh.autosave.timerID).toBe(null);
+        dh.dispose();
+      });
+  });
+
+  it('holds saves until restored', () => {
+    let dh = instance.init();
+    const storage = new MemoryStorage();
+    highlightStandard(dh);
+    const snapshot = dh.serialize();
+
+    let load = () => {};
+    jest.spyOn(storage, 'load').mockImplementation(
+      () =>
+        new Promise(resolve => {
+          load = () => resolve(snapshot);
+        })
+    );
+    const spy = jest.spyOn(storage, 'save');
+    dh = instance.init(0, { container: document.body, storage, autosave: { key: 'key' } });
+
+    // Highlight other text while the snapshot is being loaded.
+    const group = dh.create('red');
+    dh.query(
+      {
+        start: { xpath: '/p[4]/text()[1]', offset: 0 },
+        end: { xpath: '/p[4]/text()[1]', offset: 15 },
+      },
+      hit => {
+        group.highlight(hit);
+      }
+    );
+    jest.runAllTimers();
+    return settle()
+      .then(() => {
+        expect(spy).not.toHaveBeenCalled();
+        load();
+        return settle();
+      })
+      .then(() => {
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy.mock.calls[0][1].groups.map(g => g.name)).toEqual(['red', 'yellow']);
+      });
+  });
+
+  it('saves pending changes when disposed', () => {
+    const dh = instance.init(0, {
+      container: document.body,
+      storage: new MemoryStorage(),
+      autosave: { key: 'key' },
+    });
+    const autosave = dh.autosave;
+    if (autosave == null) throw new Error('null autosave');
+    const spy = jest.spyOn(autosave.storage, 'save');
+
+    return settle()
+      .then(() => {
+        highlightStandard(dh);
+        dh.dispose();
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(dh.autosave).toBe(null);
+        return autosave.storage.load('key');
+      })
+      .then(snapshot => expect(snapshot && snapshot.groups.length).toBe(1));
+  });
+});
@@ -0,0 +1,96 @@
+// @flow
+
+import TextContent from '../src/TextContent';
+
+import { instance, tests } from './helpers';
+
+describe('ContentObserver', function() {
+  // Asserts that the content is identical to the content resulting from parsing the DOM anew.
+  function expectParsed(content) {
+    const parsed = new TextContent(content.root);
+    parsed.parse();
+    expect(content.text).toBe(parsed.text);
+    expect(content.markers.map(m => [m.node, m.offset])).toEqual(
+      parsed.markers.map(m => [m.node, m.offset])
+    );
+  }
+
+  function paragraph(text: string) {
+    const p = document.createElement('p');
+    p.textContent = text;
+    return p;
+  }
+
+  it('patches content when text nodes are inserted', () => {
+    const dh = instance.init(0, { container: document.body, live: true });
+    const body: any = document.body;
+    body.insertBefore(paragraph('Brand new paragraph'), body.firstChild);
+    body.appendChild(paragraph('Another new paragraph'));
+
+    expect(dh.query('new paragraph', () => {})).toBe(true);
+    let hits = 0;
+    dh.query('new paragraph', () => {
+      ++hits;
+    });
+    expect(hits).toBe(2);
+    expectParsed(dh.content);
+  });
+
+  it('patches content when text nodes are edited, moved and removed', () => {
+    const dh = instance.init(0, { container: document.body, live: true });
+    const paragraphs: any = document.querySelectorAll('p');
+    paragraphs[1].firstChild.nodeValue = 'Edited text';
+    paragraphs[2].parentNode.appendChild(paragraphs[2]);
+    paragraphs[3].remove();
+
+    const script = document.createElement('script');
+    script.textContent = 'var viber = true;';
+    paragraphs[4].appendChild(script);
+
+    (dh.observer: any).flush();
+    expectParsed(dh.content);
+  });
+
+  it('patches content asynchronously', () => {
+    const dh = instance.init(0, { container: document.body, live: true });
+    (document.body: any).appendChild(paragraph('Brand new paragraph'));
+
+    return Promise.resolve().then(() => {
+      expect(dh.content.text).toContain('Brand new paragraph');
+      expectParsed(dh.content);
+    });
+  });
+
+  it('keeps existing ranges valid', () => {
+    const dh = instance.init(0, { container: document.body, live: true });
+    const group = dh.create('test');
+    dh.query(tests.standard.xpath, hit => {
+      group.highlight(hit);
+    });
+    const [hl] = Array.from(group.highlights.values());
+
+    const body: any = document.body;
+    body.insertBefore(paragraph('Brand new paragraph'), body.firstChild);
+    dh.query('Brand new', hit => {
+      group.highlight(hit);
+    });
+
+    expect(hl.range.toString()).toBe(tests.standard.text);
+    expect(group.highlights.size).toBe(2);
+    (dh.observer: any).flush();
+    expectParsed(dh.content);
+
+    group.clear();
+    (dh.observer: any).flush();
+    expectParsed(dh.content);
+  });
+
+  it('stops patching content when live mode disabled', () => {
+    const dh = instance.init(0, { container: document.body, live: true });
+    dh.setLive(false);
+    expect(dh.observer).toBe(null);
+
+    (document.body: any).appendChild(paragraph('Brand new paragraph'));
+    expect(dh.query('Brand new paragraph', () => false)).toBe(true);
+  });
+});
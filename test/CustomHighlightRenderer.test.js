@@ -0,0 +1,132 @@
+// @flow
+
+import CustomHighlightRenderer, {
+  highlightNameOf,
+  ACTIVE_HIGHLIGHT_NAME,
+  DISABLED_HIGHLIGHT_NAME,
+} from '../src/CustomHighlightRenderer';
+import HighlightDecorator from '../src/HighlightDecorator';
+
+import { instance, tests } from './helpers';
+
+describe('CustomHighlightRenderer', function() {
+  // jsdom does not implement the CSS Custom Highlight API, whose registry and custom highlights
+  // behave like a map and sets of ranges respectively, nor does it lay out ranges.
+  beforeEach(() => {
+    (window: any).CSS = { highlights: new Map() };
+    (window: any).Highlight = class extends Set<any> {
+      priority: number = 0;
+    };
+    (Range.prototype: any).getBoundingClientRect = () => ({ width: 10, height: 10 });
+  });
+
+  afterEach(() => {
+    // Highlights are unregistered while the API is still stubbed.
+    instance.dispose();
+    delete (window: any).CSS;
+    delete (window: any).Highlight;
+    delete (Range.prototype: any).getBoundingClientRect;
+  });
+
+  function init(options?: Object) {
+    const dh = instance.init(0, { container: document.body, renderer: 'highlights', ...options });
+    const group = dh.create('test');
+    let hl = null;
+    dh.query(tests.standard.xpath, hit => {
+      hl = group.highlight(hit);
+    });
+    return { dh, group, hl: (hl: any) };
+  }
+
+  function registered(name: string): string {
+    const custom = (window: any).CSS.highlights.get(name);
+    return custom == null ? '' : Array.from(custom, range => range.toString()).join('');
+  }
+
+  it('registers ranges without mutating the DOM', () => {
+    const html = instance.init(0).container.innerHTML;
+    const { hl } = init();
+    expect((document.body: any).innerHTML).toBe(html);
+    expect(hl.elements).toEqual([]);
+    expect(registered(highlightNameOf(hl))).toBe(tests.standard.text);
+  });
+
+  it('registers disabled highlights separately', () => {
+    const { group, hl } = init();
+    group.disable();
+    expect(registered(highlightNameOf(hl))).toBe('');
+    expect(registered(DISABLED_HIGHLIGHT_NAME)).toBe(tests.standard.text);
+
+    group.enable();
+    expect(registered(highlightNameOf(hl))).toBe(tests.standard.text);
+    expect((window: any).CSS.highlights.has(DISABLED_HIGHLIGHT_NAME)).toBe(false);
+  });
+
+  it('unregisters removed highlights', () => {
+    const { group, hl } = init();
+    group.unhighlight(hl.id);
+    expect((window: any).CSS.highlights.size).toBe(0);
+  });
+
+  it('registers the active highlight', () => {
+    const { dh } = init();
+    const scrolled = [];
+    dh.cursor.set(0, true, el => {
+      scrolled.push(el);
+    });
+    expect(registered(ACTIVE_HIGHLIGHT_NAME)).toBe(tests.standard.text);
+    expect(scrolled).toEqual([document.querySelector('body > p:nth-of-type(3) > a')]);
+
+    dh.cursor.clear();
+    expect((window: any).CSS.highlights.has(ACTIVE_HIGHLIGHT_NAME)).toBe(false);
+  });
+
+  it('detects highlighted content removed from the DOM', () => {
+    const { dh, hl } = init();
+    expect(hl.isDetached(dh.container)).toBe(false);
+    (document.querySelector('body > p:nth-of-type(3)'): any).remove();
+    expect(hl.isDetached(dh.container)).toBe(true);
+  });
+
+  it('renders existing highlights anew when the renderer is set', () => {
+    const { dh, hl } = init({ renderer: 'dom' });
+    expect(hl.elements.length).toBeGreaterThan(0);
+
+    dh.setRenderer(new CustomHighlightRenderer(dh.content, new HighlightDecorator()));
+    expect(hl.elements).toEqual([]);
+    expect(document.querySelectorAll('.dh-highlight').length).toBe(0);
+    expect(registered(highlightNameOf(hl))).toBe(tests.standard.text);
+  });
+
+  it('injects styles once per shadow root and removes them when disposed of', () => {
+    instance.init();
+    const host = document.createElement('my-widget');
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = '<p>Shadow text about <b>Viber</b> messaging</p>';
+    (document.body: any).appendChild(host);
+    const dh = instance.create({
+      container: document.body,
+      renderer: 'highlights',
+      shadow: true,
+      shadowStyles: '::highlight(dh-highlight-group-test) { background: yellow; }',
+    });
+
+    const group = dh.create('test');
+    ['Shadow text', 'about Viber messaging'].forEach(text => {
+      dh.query(text, hit => {
+        group.highlight(hit);
+        return false;
+      });
+    });
+    expect(group.highlights.size).toBe(2);
+    expect(root.querySelectorAll('style[data-dh-styles]').length).toBe(1);
+
+    dh.dispose();
+    expect(root.querySelectorAll('style[data-dh-styles]').length).toBe(0);
+  });
+
+  it('is rejected when the API is not supported', () => {
+    delete (window: any).CSS;
+    expect(() => init()).toThrow('CSS Custom Highlight API not supported');
+  });
+});
@@ -3,7 +3,7 @@
 import { DonHighlights } from '../src';
 import Group from '../src/Group';
 
-import { instance, counts } from './helpers';
+import { instance, attest, tests, counts } from './helpers';
 
 describe('Don Highlights', function() {
   let dh: DonHighlights;
@@ -115,7 +115,6 @@ describe('Don Highlights', function() {
 
   it('throws exception when XPath query fails', () => {
     const group = dh.create('test');
-    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
     expect(() =>
       dh.query(
         {
@@ -124,9 +123,7 @@ describe('Don Highlights', function() {
         },
         hit => group.highlight(hit)
       )
-    ).toThrow();
-    expect(spy).toHaveBeenCalled();
-    spy.mockRestore();
+    ).toThrow('Unable to locate start element');
   });
 
   it('throws exception on invalid query', () => {
@@ -134,4 +131,173 @@ describe('Don Highlights', function() {
     expect(() => dh.query(({}: any), () => {})).toThrow();
     expect(() => dh.query((12321: any), () => {})).toThrow();
   });
+
+  it('serializes groups and highlights', () => {
+    const group = dh.create('test');
+    dh.query('viber', hit => group.highlight(hit).setState({ note: 'viber' }));
+    dh.create('disabled').disable();
+
+    const snapshot = dh.serialize();
+    expect(snapshot.groups.length).toBe(2);
+    expect(snapshot.groups[0].name).toBe('test');
+    expect(snapshot.groups[0].enabled).toBe(true);
+    expect(snapshot.groups[0].highlights.length).toBe(counts.viber);
+    expect(snapshot.groups[0].highlights[0].state).toEqual({ note: 'viber' });
+    expect(snapshot.groups[1].enabled).toBe(false);
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+  });
+
+  it('restores serialized snapshot', () => {
+    const group = dh.create('test');
+    dh.query('viber', hit => group.highlight(hit).setState({ note: 'viber' }));
+    dh.create('disabled').disable();
+    const snapshot = JSON.parse(JSON.stringify(dh.serialize()));
+    const texts = {};
+    group.forEach(hl => {
+      texts[hl.id] = hl.range.toString();
+    });
+
+    dh = instance.init();
+    const results = dh.restore(snapshot);
+    expect(results.length).toBe(counts.viber);
+    expect(results.every(r => r.error == null && r.highlight != null)).toBe(true);
+    expect(dh.group('disabled').enabled).toBe(false);
+    attest.totalHighlightsInDOM(counts.viber, 1);
+
+    const restored = dh.group('test');
+    snapshot.groups[0].highlights.forEach(json => {
+      const hl = restored.get(json.id);
+      expect(hl.getState()).toEqual({ note: 'viber' });
+      expect(hl.range.toString()).toBe(texts[json.id]);
+    });
+    expect(dh.serialize()).toEqual(snapshot);
+  });
+
+  it('reports highlights that fail to restore', () => {
+    const results = dh.restore({
+      groups: [
+        {
+          name: 'test',
+          enabled: true,
+          highlights: [
+            { id: 'good', range: tests.standard.xpath, state: null },
+            {
+              id: 'bad',
+              range: {
+                start: { xpath: '/path/to/nowhere', offset: 0 },
+                end: { xpath: '/path/to/nowhere', offset: 0 },
+              },
+              state: null,
+            },
+          ],
+        },
+      ],
+    });
+
+    expect(results.length).toBe(2);
+    expect(results[0].error).toBeNull();
+    expect(results[0].highlight).toBe(dh.group('test').get('good'));
+    expect(results[1].highlight).toBeNull();
+    expect(results[1].error).toBeInstanceOf(Error);
+    expect(dh.group('test').has('bad')).toBe(false);
+    attest.totalHighlightsInDOM(1, 1);
+  });
+
+  it('verifies text of highlights when restoring', () => {
+    const group = dh.create('test');
+    dh.query(tests.standard.xpath, hit => group.highlight(hit));
+    const snapshot = dh.serialize();
+    expect(snapshot.groups[0].highlights[0].text).toBe(tests.standard.text);
+
+    const shift = () => {
+      const a: any = document.querySelector('p:nth-of-type(3) > a');
+      a.firstChild.nodeValue = 'ABC' + a.firstChild.nodeValue;
+      dh.refresh();
+    };
+
+    dh = instance.init();
+    shift();
+    let [result] = dh.restore(snapshot);
+    expect((result.highlight: any).range.toString()).toBe(tests.standard.text);
+
+    dh = instance.init();
+    shift();
+    [result] = dh.restore(snapshot, { verify: 'flag' });
+    expect((result.highlight: any).range.drifted).toBe(true);
+
+    dh = instance.init();
+    shift();
+    [result] = dh.restore(snapshot, { verify: 'reject' });
+    expect(result.highlight).toBeNull();
+    expect(dh.orphans()[0].reason).toBe('text-mismatch');
+  });
+
+  it('orphans highlights whose text is only found far from their range', () => {
+    const group = dh.create('test');
+    dh.query(tests.standard.xpath, hit => group.highlight(hit));
+    const snapshot = dh.serialize();
+
+    // Move the paragraph holding the text to the end of the document, leaving one of the same
+    // structure but different text in its place.
+    dh = instance.init();
+    const p: any = document.querySelector('body > p:nth-of-type(3)');
+    (document.body: any).appendChild(p.cloneNode(true));
+    [p.firstChild.firstChild, p.childNodes[1]].forEach(node => {
+      node.nodeValue = node.nodeValue.replace(/\S/g, 'x');
+    });
+    dh.refresh();
+
+    const [result] = dh.restore(snapshot);
+    expect(result.highlight).toBeNull();
+    expect(dh.orphans()[0].reason).toBe('text-mismatch');
+  });
+
+  it('keeps highlights that fail to restore as orphans', () => {
+    const orphans = [];
+    dh.on('orphan', orphan => orphans.push(orphan));
+    const results = dh.restore({
+      groups: [
+        {
+          name: 'test',
+          enabled: true,
+          highlights: [
+            {
+              id: 'missing',
+              range: {
+                start: { xpath: '/path/to/nowhere', offset: 0 },
+                end: { xpath: '/path/to/nowhere', offset: 0 },
+              },
+              state: null,
+            },
+            { id: 'good', range: tests.standard.xpath, state: null },
+            {
+              id: 'overflow',
+              range: {
+                start: tests.standard.xpath.start,
+                end: { xpath: tests.standard.xpath.end.xpath, offset: 100000 },
+              },
+              state: { note: 'overflow' },
+            },
+          ],
+        },
+      ],
+    });
+
+    expect(results.map(r => r.highlight != null)).toEqual([false, true, false]);
+    expect(orphans.map(o => [o.json.id, o.reason])).toEqual([
+      ['missing', 'missing-element'],
+      ['overflow', 'offset-overflow'],
+    ]);
+    expect(orphans[0].error).toBe(results[0].error);
+    expect(dh.orphans()).toEqual(orphans);
+
+    const group = dh.group('test');
+    expect(group.orphans.size).toBe(2);
+    expect(group.has('overflow')).toBe(false);
+    expect(group.toJSON().highlights.map(hl => hl.id)).toEqual(['good', 'missing', 'overflow']);
+    expect(group.toJSON().highlights[2].state).toEqual({ note: 'overflow' });
+
+    group.clear();
+    expect(dh.orphans().length).toBe(0);
+  });
 });
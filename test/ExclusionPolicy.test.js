@@ -0,0 +1,87 @@
+// @flow
+
+import { ExclusionPolicy } from '../src';
+
+import { instance } from './helpers';
+
+describe('ExclusionPolicy', function() {
+  function init(html: string, options?: Object) {
+    instance.init();
+    (document.body: any).innerHTML = html;
+    return instance.create({ container: (document.body: any), ...options });
+  }
+
+  function queryFirst(dh, query) {
+    let hit = null;
+    dh.query(query, h => {
+      hit = h;
+      return false;
+    });
+    return hit;
+  }
+
+  it('always excludes elements marked with data-dh-ignore', () => {
+    const dh = init('<p>Hello <span data-dh-ignore>toolbar</span>world</p>');
+    expect(dh.content.text).toBe('Hello world');
+    expect(queryFirst(dh, 'toolbar')).toBe(null);
+    dh.content.assert();
+  });
+
+  it('excludes elements by tag name, selector and predicate', () => {
+    const dh = init(
+      "<nav>Menu</nav><p>One</p><div aria-hidden='true'>Hidden</div>" +
+        "<p class='banner'>Cookies</p><p>Two</p>",
+      {
+        exclude: {
+          tagNames: ['nav'],
+          selectors: ["[aria-hidden='true']"],
+          predicate: el => el.classList.contains('banner'),
+        },
+      }
+    );
+    expect(dh.content.text).toBe('OneTwo');
+  });
+
+  it('does not highlight text inside excluded elements', () => {
+    const dh = init('<p>Hello <span data-dh-ignore>toolbar</span>world</p>');
+    const hl = dh.create('test').highlight((queryFirst(dh, 'lo wor'): any));
+    expect(hl.elements.map(el => el.textContent)).toEqual(['lo ', 'wor']);
+    expect((document.querySelector('[data-dh-ignore]'): any).textContent).toBe('toolbar');
+  });
+
+  it('ignores excluded elements in XPath representations', () => {
+    let dh = init('<p data-dh-ignore>Cookies</p><p>First <b data-dh-ignore>toolbar</b>second</p>');
+    const hl = dh.create('test').highlight((queryFirst(dh, 'second'): any));
+    const xpath = hl.range.computeXPath();
+    expect(xpath.start).toEqual({ xpath: '/p[1]/text()[1]', offset: 6 });
+
+    dh = init('<p>First second</p>');
+    expect((queryFirst(dh, xpath): any).toString()).toBe('second');
+  });
+
+  it('ignores excluded elements in selector representations like in XPath ones', () => {
+    let dh = init("<p class='banner'>Cookies</p><p>First <b class='banner'>toolbar</b>second</p>", {
+      exclude: { selectors: ['.banner'] },
+    });
+    const hl = dh.create('test').highlight((queryFirst(dh, 'second'): any));
+    const selector = hl.range.computeSelector();
+    expect(selector.start).toEqual({ selector: ':scope > p:nth-of-type(1)', index: 1, offset: 6 });
+
+    dh = init('<p>First second</p>');
+    expect((queryFirst(dh, selector): any).toString()).toBe('second');
+  });
+
+  it('does not record text inserted inside excluded elements in live mode', () => {
+    const dh = init('<p>Hello <span data-dh-ignore>toolbar</span>world</p>', { live: true });
+    const toolbar: any = document.querySelector('[data-dh-ignore]');
+    toolbar.appendChild(document.createElement('b')).textContent = ' button';
+    (dh.observer: any).flush();
+    expect(dh.content.text).toBe('Hello world');
+  });
+
+  it('rejects invalid selectors', () => {
+    expect(() => new ExclusionPolicy({ selectors: ['[invalid'] })).toThrow(
+      'Invalid exclusion selector'
+    );
+  });
+});
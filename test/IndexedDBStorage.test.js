@@ -0,0 +1,151 @@
+// @flow
+
+import { IndexedDBStorage } from '../src';
+
+describe('IndexedDBStorage', function() {
+  // jsdom does not implement IndexedDB.  The fake below keeps object stores in maps and completes
+  // requests and transactions asynchronously, as browsers do.
+  function createFactory() {
+    const databases = new Map();
+    const later = fn => Promise.resolve().then(fn);
+    const factory = { opened: 0, failing: false, databases, open };
+
+    function open(name: string) {
+      const request: Object = {};
+      ++factory.opened;
+      later(() => {
+        let db = databases.get(name);
+        request.result = db;
+        if (db == null) {
+          db = request.result = createDatabase();
+          databases.set(name, db);
+          request.onupgradeneeded();
+        }
+
+        db.closed = false;
+        request.onsuccess();
+      });
+      return request;
+    }
+
+    function createDatabase() {
+      const stores = new Map();
+      const db = {
+        closed: false,
+        stores,
+        createObjectStore: name => stores.set(name, new Map()),
+        close: () => {
+          db.closed = true;
+        },
+        transaction: (name, mode) => {
+          const store: any = stores.get(name);
+          const tx: Object = { error: null };
+          const request = result => ({ result });
+          tx.objectStore = () => ({
+            get: key => request(store.has(key) ? JSON.parse(store.get(key)) : undefined),
+            put: (value, key) => {
+              if (mode !== 'readwrite') throw new Error('read-only transaction');
+              store.set(key, JSON.stringify(value));
+              return request(key);
+            },
+            delete: key => {
+              if (mode !== 'readwrite') throw new Error('read-only transaction');
+              store.delete(key);
+              return request(undefined);
+            },
+          });
+          later(() => {
+            if (factory.failing) {
+              tx.error = new Error('transaction failed');
+              tx.onerror();
+            } else {
+              tx.oncomplete();
+            }
+          });
+          return tx;
+        },
+      };
+      return db;
+    }
+
+    return factory;
+  }
+
+  let factory;
+
+  beforeEach(() => {
+    factory = createFactory();
+    (window: any).indexedDB = factory;
+  });
+
+  afterEach(() => {
+    delete (window: any).indexedDB;
+  });
+
+  it('round-trips snapshots', () => {
+    const storage = new IndexedDBStorage();
+    const snapshot = { groups: [] };
+    return storage
+      .save('key', snapshot)
+      .then(() => storage.load('key'))
+      .then(loaded => {
+        expect(loaded).toEqual(snapshot);
+        expect(loaded).not.toBe(snapshot);
+        return storage.remove('key');
+      })
+      .then(() => storage.load('key'))
+      .then(loaded => {
+        expect(loaded).toBe(null);
+        expect(factory.opened).toBe(1);
+        expect(Array.from(factory.databases.keys())).toEqual(['don-highlights']);
+      });
+  });
+
+  it('keeps snapshots in the object store given', () => {
+    const storage = new IndexedDBStorage('db', 'store');
+    return storage.save('key', { groups: [] }).then(() => {
+      const db: any = factory.databases.get('db');
+      expect(Array.from(db.stores.keys())).toEqual(['store']);
+      expect(db.stores.get('store').has('key')).toBe(true);
+    });
+  });
+
+  it('opens the database anew once closed', () => {
+    const storage = new IndexedDBStorage();
+    return storage
+      .save('key', { groups: [] })
+      .then(() => storage.close())
+      .then(() => {
+        expect((factory.databases.get('don-highlights'): any).closed).toBe(true);
+        return storage.load('key');
+      })
+      .then(loaded => {
+        expect(loaded).toEqual({ groups: [] });
+        expect(factory.opened).toBe(2);
+      });
+  });
+
+  it('rejects when transactions fail', () => {
+    const storage = new IndexedDBStorage();
+    factory.failing = true;
+    return expect(storage.save('key', { groups: [] })).rejects.toThrow('transaction failed');
+  });
+
+  it('rejects when IndexedDB is not available and retries once it is', () => {
+    const storage = new IndexedDBStorage();
+    delete (window: any).indexedDB;
+    return storage
+      .load('key')
+      .then(
+        () => {
+          throw new Error('loaded without IndexedDB');
+        },
+        x => {
+          expect(x.message).toBe('IndexedDB not available');
+          (window: any).indexedDB = factory;
+          return storage.load('key');
+        }
+      )
+      .then(loaded => expect(loaded).toBe(null));
+  });
+});
@@ -0,0 +1,68 @@
+// @flow
+
+import OffsetMap from '../src/OffsetMap';
+import { fold, foldText } from '../src/util';
+
+describe('OffsetMap', function() {
+  // Maps "ab  cd" to "ab\n cd" and removes the second space.
+  function build() {
+    return new OffsetMap().keep('ab').insert('\n').keep(' ').remove(1).keep('cd').end();
+  }
+
+  it('maps a text to itself', () => {
+    const map = OffsetMap.identity('abc');
+    expect(map.text).toBe('abc');
+    expect([0, 1, 2, 3].map(i => map.toSource(i))).toEqual([0, 1, 2, 3]);
+    expect([0, 1, 2, 3].map(i => map.fromSource(i))).toEqual([0, 1, 2, 3]);
+  });
+
+  it('maps inserted characters to the surrounding source characters', () => {
+    const map = build();
+    expect(map.text).toBe('ab\n cd');
+    expect(map.toSource(2)).toBe(2);
+    expect(map.toSourceEnd(2)).toBe(1);
+  });
+
+  it('maps removed characters to the next derived character', () => {
+    const map = build();
+    expect([0, 1, 2, 3, 4, 5, 6].map(i => map.fromSource(i))).toEqual([0, 1, 3, 4, 4, 5, 6]);
+    expect(map.toSource(4)).toBe(4);
+  });
+
+  it('maps replaced characters to the whole span replaced', () => {
+    const map = new OffsetMap().keep('r').replace(2, 'e').keep('sume').end();
+    expect(map.text).toBe('resume');
+    expect(map.toSource(1)).toBe(1);
+    expect(map.toSourceEnd(1)).toBe(2);
+    expect(map.fromSource(2)).toBe(1);
+    expect(map.fromSource(3)).toBe(2);
+  });
+
+  it('composes maps', () => {
+    const next = new OffsetMap().keep('ab\n').remove(1).keep('cd').end();
+    const map = build().compose(next);
+    expect(map.text).toBe('ab\ncd');
+    expect(map.toSource(3)).toBe(4);
+    expect(map.toSourceEnd(2)).toBe(1);
+    expect([0, 1, 2, 3, 4, 5, 6].map(i => map.fromSource(i))).toEqual([0, 1, 3, 3, 3, 4, 5]);
+  });
+});
+
+describe('fold', function() {
+  it('folds case, diacritics and normalization form', () => {
+    const nfc = 'Résumé'.normalize('NFC');
+    expect(foldText(nfc)).toBe('resume');
+    expect(foldText(nfc.normalize('NFD'))).toBe('resume');
+    expect(foldText('ΟΔΟΣ')).toBe(foldText('οδοσ'));
+  });
+
+  it('maps characters to the characters they were folded from', () => {
+    const map = fold('Résumé!');
+    expect(map.text).toBe('resume!');
+    expect(map.toSource(1)).toBe(1);
+    expect(map.toSourceEnd(1)).toBe(2);
+    expect(map.fromSource(3)).toBe(2);
+    expect(map.toSourceEnd(5)).toBe(7);
+    expect(map.toSource(6)).toBe(8);
+  });
+});
@@ -0,0 +1,145 @@
+// @flow
+
+import { instance, tests } from './helpers';
+
+describe('OverlayRenderer', function() {
+  const { getBoundingClientRect } = Element.prototype;
+  let scrollY = 0;
+
+  // jsdom does not lay out content.  Ranges occupy a rectangle per line of 100 characters, and the
+  // bounds of elements are taken from their inline styles.
+  beforeEach(() => {
+    scrollY = 0;
+    jest.useFakeTimers();
+    (Range.prototype: any).getClientRects = function () {
+      const rects = [];
+      for (let i = this.startOffset; i < this.endOffset; i += 100) {
+        const width = Math.min(100, this.endOffset - i);
+        rects.push({ left: i % 100, top: i - scrollY, width, height: 10 });
+        // Empty rectangle at the end of the line.
+        rects.push({ left: (i % 100) + width, top: i - scrollY, width: 0, height: 10 });
+      }
+
+      return rects;
+    };
+    (Element.prototype: any).getBoundingClientRect = function () {
+      const [left, top, width, height] = ['left', 'top', 'width', 'height'].map(
+        p => parseFloat(this.style[p]) || 0
+      );
+      return { left, top, width, height, right: left + width, bottom: top + height };
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete (Range.prototype: any).getClientRects;
+    (Element.prototype: any).getBoundingClientRect = getBoundingClientRect;
+  });
+
+  function init(options?: Object) {
+    const dh = instance.init(0, { container: document.body, renderer: 'overlay', ...options });
+    const group = dh.create('test');
+    let hl = null;
+    dh.query(tests.standard.xpath, hit => {
+      hl = group.highlight(hit);
+    });
+    return { dh, group, hl: (hl: any) };
+  }
+
+  function layer(): HTMLElement {
+    return (document.querySelector('[data-dh-overlay]'): any);
+  }
+
+  it('draws boxes in a separate layer without mutating the content', () => {
+    const html = instance.init(0).container.innerHTML;
+    init();
+    expect(layer().parentNode).toBe(document.body);
+    const clone = (document.body: any).cloneNode(true);
+    clone.querySelector('[data-dh-overlay]').remove();
+    expect(clone.innerHTML).toBe(html);
+  });
+
+  it("decorates boxes as the highlight's elements", () => {
+    const { dh, hl } = init();
+    const boxes = Array.from(layer().childNodes);
+    expect(hl.elements).toEqual(boxes);
+    expect(boxes.length).toBeGreaterThan(1);
+    expect(boxes.every((el: any) => el.classList.contains('dh-highlight'))).toBe(true);
+    expect(boxes.every((el: any) => el.dataset.dhHighlightId === hl.id)).toBe(true);
+    expect(dh.renderer.getBounds(hl).map(rect => rect.width)).toEqual([5, 100, 100, 60]);
+  });
+
+  it('does not affect the text content or XPath representations', () => {
+    const { dh, hl } = init({ live: true });
+    return Promise.resolve().then(() => {
+      expect(dh.content.text).not.toContain('dh-highlight');
+      expect(hl.range.computeXPath()).toEqual((hl.anchor: any).xpath);
+      expect(dh.content.find(hl.range.start.marker.node)).toBeGreaterThan(-1);
+    });
+  });
+
+  it('lays out boxes anew upon scroll', () => {
+    const { hl } = init();
+    const top = hl.elements[0].style.top;
+    scrollY = 50;
+    window.dispatchEvent(new Event('scroll'));
+    expect(hl.elements[0].style.top).toBe(top);
+
+    jest.runAllTimers();
+    expect(parseFloat(hl.elements[0].style.top)).toBe(parseFloat(top) - 50);
+  });
+
+  it('keeps the active highlight styled when laid out anew', () => {
+    const { dh, hl } = init();
+    dh.cursor.set(0, true, () => {});
+    expect(hl.elements.every(el => el.classList.contains('dh-highlight-active'))).toBe(true);
+
+    window.dispatchEvent(new Event('resize'));
+    jest.runAllTimers();
+    expect(hl.elements.every(el => el.classList.contains('dh-highlight-active'))).toBe(true);
+  });
+
+  it('decorates boxes anew when the group is disabled and enabled', () => {
+    const { group, hl } = init();
+    group.disable();
+    expect(hl.elements.every(el => el.classList.contains('dh-disabled'))).toBe(true);
+
+    group.enable();
+    expect(hl.elements.every(el => !el.classList.contains('dh-disabled'))).toBe(true);
+    expect(hl.elements.every(el => el.classList.contains(`dh-highlight-group-${group.id}`))).toBe(
+      true
+    );
+    expect(hl.elements.every((el: any) => el.dataset.dhHighlightId === hl.id)).toBe(true);
+  });
+
+  it('decorates the boxes of a highlight', () => {
+    const { dh, hl } = init();
+    const boxes = Array.from(layer().querySelectorAll('.dh-highlight'));
+    expect(boxes.length).toBeGreaterThan(0);
+    expect(boxes).toEqual(hl.elements);
+
+    hl.setEnabled(false);
+    dh.renderer.decorate(hl);
+    expect(boxes.every(el => el.classList.contains('dh-disabled'))).toBe(true);
+    expect(boxes.every((el: any) => el.dataset.dhHighlightId === hl.id)).toBe(true);
+    // Decorating leaves the content alone.
+    expect(document.querySelectorAll('.dh-highlight').length).toBe(boxes.length);
+
+    hl.setEnabled(true);
+    dh.renderer.decorate(hl);
+    expect(boxes.every(el => !el.classList.contains('dh-disabled'))).toBe(true);
+  });
+
+  it('removes boxes and the layer with the last highlight', () => {
+    const { group, hl } = init();
+    group.unhighlight(hl.id);
+    expect(layer()).toBe(null);
+  });
+
+  it('detects highlighted content removed from the DOM', () => {
+    const { dh, hl } = init();
+    expect(hl.isDetached(dh.container)).toBe(false);
+    (document.querySelector('body > p:nth-of-type(3)'): any).remove();
+    expect(hl.isDetached(dh.container)).toBe(true);
+  });
+});
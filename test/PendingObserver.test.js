@@ -0,0 +1,94 @@
+// @flow
+
+import { instance, tests } from './helpers';
+
+describe('PendingObserver', function() {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Snapshots the standard highlight and removes the paragraphs containing it and every paragraph
+  // after it, as a page loading content lazily would not have loaded them yet.
+  function init(options?: Object) {
+    let dh = instance.init(0, { container: document.body });
+    const group = dh.create('test');
+    dh.query(tests.standard.xpath, hit => {
+      group.highlight(hit);
+    });
+    const snapshot = dh.serialize();
+
+    dh = instance.init(0, { container: document.body, ...options });
+    const paragraphs = Array.from(document.querySelectorAll('body > p')).slice(2);
+    paragraphs.forEach(p => p.remove());
+    const load = () => paragraphs.forEach(p => (document.body: any).appendChild(p));
+
+    return { dh, snapshot, load };
+  }
+
+  it('orphans highlights whose content does not exist when disabled', () => {
+    const { dh, snapshot } = init();
+    dh.restore(snapshot);
+    expect(dh.orphans().length).toBe(1);
+    expect(dh.pending().length).toBe(0);
+  });
+
+  it('keeps highlights whose content does not exist pending', () => {
+    const { dh, snapshot } = init({ pending: true });
+    const orphaned = [];
+    dh.on('orphan', orphan => orphaned.push(orphan));
+
+    const [result] = dh.restore(snapshot);
+    expect(result.highlight).toBe(null);
+    expect(orphaned).toEqual([]);
+    expect(dh.pending().map(p => p.json.id)).toEqual([result.id]);
+    expect(dh.serialize().groups[0].highlights.map(hl => hl.id)).toEqual([result.id]);
+  });
+
+  it('anchors pending highlights upon refresh', () => {
+    const { dh, snapshot, load } = init({ pending: true });
+    const anchored = [];
+    dh.on('anchored', hl => anchored.push(hl));
+    const [result] = dh.restore(snapshot);
+
+    dh.refresh();
+    expect(anchored).toEqual([]);
+
+    load();
+    dh.refresh();
+    expect(anchored.map(hl => hl.id)).toEqual([result.id]);
+    expect(anchored[0].range.toString()).toBe(tests.standard.text);
+    expect(dh.pending().length).toBe(0);
+    expect(dh.group('test').has(result.id)).toBe(true);
+  });
+
+  it('anchors pending highlights shortly after content is added', () => {
+    const { dh, snapshot, load } = init({ pending: true, live: true });
+    const anchored = [];
+    dh.on('anchored', hl => anchored.push(hl));
+    dh.restore(snapshot);
+
+    load();
+    return Promise.resolve().then(() => {
+      jest.runAllTimers();
+      expect(anchored.length).toBe(1);
+      expect(anchored[0].range.toString()).toBe(tests.standard.text);
+      expect(dh.pending().length).toBe(0);
+    });
+  });
+
+  it('orphans pending highlights whose content changed', () => {
+    const { dh, snapshot, load } = init({ pending: true });
+    dh.restore(snapshot, { verify: 'reject' });
+
+    load();
+    const text: any = (document.querySelector('body > p:nth-of-type(3) > a'): any).firstChild;
+    text.nodeValue = text.nodeValue.replace(/\S/g, 'x');
+    dh.refresh();
+    expect(dh.pending().length).toBe(0);
+    expect(dh.orphans().length).toBe(1);
+  });
+});
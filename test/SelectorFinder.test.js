@@ -0,0 +1,84 @@
+// @flow
+
+import SelectorFinder from '../src/SelectorFinder';
+import createFinder from '../src/createFinder';
+
+import { instance, tests, counts } from './helpers';
+
+describe('SelectorFinder', function() {
+  function getHit(dh, query) {
+    let hit;
+    dh.query(query, h => {
+      hit = h;
+      return false;
+    });
+    if (hit == null) throw new Error('null hit');
+    return hit;
+  }
+
+  it('is created for selector range queries', () => {
+    const dh = instance.init();
+    const range = getHit(dh, tests.standard.xpath).computeSelector();
+    expect(createFinder(dh.content, range)).toBeInstanceOf(SelectorFinder);
+  });
+
+  it('computes structural selectors when no ancestor has an id', () => {
+    const dh = instance.init();
+    const range = getHit(dh, tests.standard.xpath).computeSelector();
+    expect(range).toEqual({
+      start: { selector: ':scope > p:nth-of-type(3) > a:nth-of-type(1)', index: 1, offset: 0 },
+      end: { selector: ':scope > p:nth-of-type(3)', index: 1, offset: 260 },
+    });
+  });
+
+  it('anchors selectors at nearest ancestor with an id', () => {
+    const dh = instance.init();
+    (document.querySelectorAll('p')[2]: any).id = 'statement';
+    const range = getHit(dh, tests.standard.xpath).computeSelector();
+    expect(range.start.selector).toBe('#statement > a:nth-of-type(1)');
+    expect(range.end.selector).toBe('#statement');
+  });
+
+  it('round-trips text ranges', () => {
+    const dh = instance.init();
+    const group = dh.create('test');
+    dh.query('the', hit => {
+      group.highlight(hit);
+    });
+    expect(group.highlights.size).toBe(counts.the);
+
+    group.forEach(hl => {
+      const hit = getHit(dh, hl.range.computeSelector());
+      expect(hit.computePosition()).toEqual(hl.range.computePosition());
+    });
+  });
+
+  it('survives edits outside of anchored section', () => {
+    const dh = instance.init();
+    (document.querySelectorAll('p')[2]: any).id = 'statement';
+    const range = getHit(dh, tests.standard.xpath).computeSelector();
+
+    const body: any = document.body;
+    body.insertBefore(document.createElement('p'), body.firstChild).textContent = 'Breaking.';
+    dh.refresh();
+
+    // The XPath range now either does not resolve or resolves to the wrong text.
+    let text = null;
+    try {
+      text = getHit(dh, tests.standard.xpath).toString();
+    } catch (x) {
+      // nop
+    }
+    expect(text).not.toBe(tests.standard.text);
+    expect(getHit(dh, range).toString()).toBe(tests.standard.text);
+  });
+
+  it('throws exception when selector does not resolve', () => {
+    const dh = instance.init();
+    const boundary = { selector: '#nonexistent', index: 1, offset: 0 };
+    expect(() => new SelectorFinder(dh.content, { start: boundary, end: boundary })).toThrow();
+
+    const invalid = { selector: 'p.invalid', index: 1, offset: 0 };
+    expect(() => new SelectorFinder(dh.content, { start: invalid, end: invalid })).toThrow();
+  });
+});
@@ -0,0 +1,140 @@
+// @flow
+
+import TextContent from '../src/TextContent';
+
+import { instance } from './helpers';
+import { documents } from './helpers/tests';
+
+describe('TextContent', function() {
+  const REPEAT = 10;
+
+  // Reference implementation of node look up, scanning markers linearly.
+  function findLinear(content, node) {
+    for (let i = 0, l = content.markers.length; i < l; ++i) {
+      if (content.markers[i].node === node) return i;
+    }
+
+    return -1;
+  }
+
+  it('finds markers of text nodes', () => {
+    const dh = instance.init();
+    const { content } = dh;
+    content.markers.forEach((marker, i) => {
+      expect(content.find(marker.node)).toBe(i);
+    });
+
+    const last = content.markers[content.markers.length - 1].node;
+    expect(content.find(last, content.markers.length)).toBe(-1);
+    expect(content.find(document.createTextNode('detached'))).toBe(-1);
+    expect(content.find((document.body: any))).toBe(-1);
+  });
+
+  it('keeps index of text nodes in sync when truncating', () => {
+    const dh = instance.init();
+    const group = dh.create('test');
+    dh.query('viber', hit => {
+      group.highlight(hit);
+    });
+
+    const { content } = dh;
+    content.assert();
+    expect(content.nodes.size).toBe(content.markers.length);
+    content.markers.forEach((marker, i) => {
+      expect(content.find(marker.node)).toBe(i);
+    });
+  });
+
+  // Returns the text nodes of the document.
+  function textNodes(): Array<Node> {
+    const nodes = [];
+    const walker = document.createTreeWalker((document.body: any), NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    return nodes;
+  }
+
+  it('joins text nodes split by highlights once unhighlighted', () => {
+    const dh = instance.init(0, { container: document.body });
+    const { content } = dh;
+    const html = (document.body: any).innerHTML;
+    const count = textNodes().length;
+    const markers = content.markers.length;
+
+    const group = dh.create('test');
+    const highlights = [];
+    dh.query('viber', hit => {
+      highlights.push(group.highlight(hit));
+    });
+    expect(textNodes().length).toBeGreaterThan(count);
+
+    // Unhighlighting does not parse the content anew.
+    const parse = jest.spyOn(content, 'parse');
+    highlights.forEach(hl => group.unhighlight(hl.id));
+    expect(parse).not.toHaveBeenCalled();
+    expect(textNodes().length).toBe(count);
+    expect((document.body: any).innerHTML).toBe(html);
+    expect(content.markers.length).toBe(markers);
+    content.assert();
+    content.markers.forEach((marker, i) => {
+      expect((document.body: any).contains(marker.node)).toBe(true);
+      expect(content.find(marker.node)).toBe(i);
+    });
+    parse.mockRestore();
+  });
+
+  it('leaves text nodes adjacent to begin with alone', () => {
+    const dh = instance.init(0, { container: document.body });
+    const node: any = textNodes().find(it => it.nodeValue.includes('Viber'));
+    node.splitText(node.nodeValue.indexOf('Viber') + 2);
+    dh.refresh();
+    const count = textNodes().length;
+
+    const group = dh.create('test');
+    const highlights = [];
+    dh.query('Viber', hit => {
+      highlights.push(group.highlight(hit));
+    });
+    highlights.forEach(hl => hl.remove());
+    expect(textNodes().length).toBe(count);
+    dh.content.assert();
+  });
+
+  it('keeps highlights renderable after being detached', () => {
+    const dh = instance.init(0, { container: document.body });
+    const group = dh.create('test');
+    const highlights = [];
+    dh.query('viber', hit => {
+      highlights.push(group.highlight(hit));
+    });
+
+    const texts = highlights.map(hl => hl.range.toString());
+    highlights.forEach(hl => hl.detach());
+    highlights.forEach(hl => hl.render());
+    expect(highlights.map(hl => hl.elements.map(el => el.textContent).join(''))).toEqual(texts);
+    dh.content.assert();
+  });
+
+  it('looks up text nodes of large documents by way of the index', () => {
+    const body: any = document.body;
+    body.innerHTML = documents[4].repeat(REPEAT);
+    const content = new TextContent(body);
+    content.parse();
+
+    // Text nodes recorded or dropped after parsing are indexed too.
+    const p = document.createElement('p');
+    p.textContent = 'Inserted';
+    body.appendChild(p);
+    content.insert((p.firstChild: any));
+    const removed = content.removeAt(0);
+
+    expect(content.nodes.size).toBe(content.markers.length);
+    const found = content.markers.filter(
+      (marker, i) => content.nodes.get(marker.node) === marker && content.find(marker.node) === i
+    );
+    expect(found.length).toBe(content.markers.length);
+    expect(content.find((p.firstChild: any))).toBe(content.markers.length - 1);
+    expect(content.find(removed.node)).toBe(-1);
+    expect(content.find(removed.node)).toBe(findLinear(content, removed.node));
+    body.innerHTML = '';
+  });
+});
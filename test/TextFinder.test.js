@@ -42,3 +42,151 @@ describe("TextFinder", () => {
     });
   });
 });
+
+describe("TextFinder with blocks separated", () => {
+  function init(html: string, blocks: boolean = true) {
+    const dh = instance.init(0, { container: document.body, blocks });
+    (document.body: any).innerHTML = html;
+    dh.refresh();
+    return dh;
+  }
+
+  function find(dh, query) {
+    const hits = [];
+    dh.query(query, (hit) => {
+      hits.push(hit.toString());
+    });
+    return hits;
+  }
+
+  it("does not match across block boundaries", () => {
+    const html = "<p>end of paragraph</p><p>Next paragraph</p>";
+    expect(find(init(html, false), /paragraphNext/g)).toEqual(["paragraphNext"]);
+    expect(find(init(html), /paragraphNext/g)).toEqual([]);
+    expect(find(init(html), /\bNext\b/g)).toEqual(["Next"]);
+  });
+
+  it("separates lines broken by BR elements", () => {
+    const dh = init("<p>first line<br>second line</p>");
+    expect(dh.content.view().text).toBe("first line\nsecond line");
+    expect(dh.content.text).toBe("first linesecond line");
+  });
+
+  it("maps hits spanning blocks back to the text", () => {
+    const dh = init("<h1>Title</h1><div><p>Body <b>text</b></p></div>");
+    expect(dh.content.view().text).toBe("Title\nBody text");
+    const [hit] = find(dh, "Title Body");
+    expect(hit).toBe("TitleBody");
+
+    const group = dh.create("test");
+    dh.query("Body text", (h) => {
+      group.highlight(h);
+    });
+    expect(Array.from(group.highlights.values())[0].range.toString()).toBe("Body text");
+  });
+
+  it("does not separate inline elements", () => {
+    const dh = init("<p>one <em>two</em> <span>three</span></p>");
+    expect(dh.content.view().text).toBe("one two three");
+  });
+});
+
+describe("TextFinder with whitespace collapsed", () => {
+  const HTML =
+    "<div>\n  <p>\n    Lorem   ipsum\n    <b> dolor </b>  sit\n  </p>\n" +
+    "  <pre>  pre   formatted\n  text</pre>\n" +
+    "  <p style='white-space: pre-line'>line   one  \n   line two</p>\n</div>";
+
+  function init(collapse: boolean = true) {
+    const dh = instance.init(0, { container: document.body, collapse });
+    (document.body: any).innerHTML = HTML;
+    dh.refresh();
+    return dh;
+  }
+
+  function first(dh, query) {
+    let hit = null;
+    dh.query(query, (h) => {
+      hit = h;
+      return false;
+    });
+    return (hit: any);
+  }
+
+  it("collapses whitespace as rendered", () => {
+    expect(init().content.view().text).toBe(
+      "Lorem ipsum dolor sit\n  pre   formatted\n  text\nline one\nline two"
+    );
+  });
+
+  it("returns excerpts of the text as rendered", () => {
+    const hit = first(init(), "ipsum dolor sit");
+    expect(hit.toString()).toBe("ipsum dolor sit");
+    expect(first(init(false), "ipsum dolor sit").toString()).toBe("ipsum\n     dolor   sit");
+  });
+
+  it("computes text quotes independent of source formatting", () => {
+    const quote = first(init(), "dolor").computeQuote(6);
+    expect(quote).toEqual({ exact: "dolor", prefix: "ipsum ", suffix: " sit\n " });
+
+    const dh = init();
+    (document.body: any).innerHTML = "<p>Lorem ipsum dolor sit</p><pre>  pre</pre>";
+    dh.refresh();
+    expect(first(dh, quote).toString()).toBe("dolor");
+  });
+
+  it("highlights text as rendered", () => {
+    const dh = init();
+    const hl = dh.create("test").highlight(first(dh, "Lorem ipsum"));
+    expect(hl.elements.map((el) => el.textContent)).toEqual(["Lorem   ipsum"]);
+    expect(hl.toJSON().text).toBe("Lorem ipsum");
+  });
+});
+
+describe("TextFinder with text queries folded", () => {
+  // "Résumé" is precomposed (NFC) in the first paragraph and decomposed (NFD) in the second.
+  const NFC = "Résumé".normalize("NFC");
+  const NFD = NFC.normalize("NFD");
+  const HTML = `<p>Her ${NFC} was long.</p><p>His ${NFD} was short.</p>`;
+
+  function init(fold: boolean = true) {
+    const dh = instance.init(0, { container: document.body, fold });
+    (document.body: any).innerHTML = HTML;
+    dh.refresh();
+    return dh;
+  }
+
+  function all(dh, query) {
+    const hits = [];
+    dh.query(query, (h) => {
+      hits.push(h);
+    });
+    return hits;
+  }
+
+  it("matches text regardless of case, diacritics and normalization form", () => {
+    const dh = init();
+    const expected = [NFC, NFD];
+    expect(all(dh, "resume").map((h) => h.toString())).toEqual(expected);
+    expect(all(dh, NFC).map((h) => h.toString())).toEqual(expected);
+    expect(all(dh, NFD.toUpperCase()).map((h) => h.toString())).toEqual(expected);
+  });
+
+  it("maps hits back to the text", () => {
+    const dh = init();
+    expect(all(dh, "sume was").map((h) => h.toString())).toEqual([
+      NFC.substr(2) + " was",
+      NFD.substr(3) + " was",
+    ]);
+    const hl = dh.create("test").highlight(all(dh, "his resume")[0]);
+    expect(hl.elements.map((el) => el.textContent)).toEqual(["His " + NFD]);
+  });
+
+  it("does not fold regular expressions", () => {
+    expect(all(init(), /resume/gi)).toEqual([]);
+  });
+
+  it("does not fold text queries when disabled", () => {
+    expect(all(init(false), "resume")).toEqual([]);
+  });
+});
@@ -0,0 +1,55 @@
+// @flow
+
+import TextPositionFinder from '../src/TextPositionFinder';
+import XPathFinder from '../src/XPathFinder';
+import createFinder from '../src/createFinder';
+
+import { instance, tests, counts } from './helpers';
+
+describe('TextPositionFinder', function() {
+  it('is created for text position queries', () => {
+    const dh = instance.init();
+    expect(createFinder(dh.content, { start: 0, end: 10 })).toBeInstanceOf(TextPositionFinder);
+    expect(createFinder(dh.content, tests.standard.xpath)).toBeInstanceOf(XPathFinder);
+  });
+
+  it('throws exception on invalid positions', () => {
+    const dh = instance.init();
+    const length = dh.content.text.length;
+    expect(() => new TextPositionFinder(dh.content, { start: -1, end: 10 })).toThrow();
+    expect(() => new TextPositionFinder(dh.content, { start: 10, end: 10 })).toThrow();
+    expect(() => new TextPositionFinder(dh.content, { start: 10, end: 5 })).toThrow();
+    expect(() => new TextPositionFinder(dh.content, { start: 0, end: length + 1 })).toThrow();
+    expect(() => new TextPositionFinder(dh.content, { start: 0.5, end: 10 })).toThrow();
+    expect(() => new TextPositionFinder(dh.content, { start: 0, end: length })).not.toThrow();
+  });
+
+  it('finds text at given position', () => {
+    const dh = instance.init();
+    const start = dh.content.text.indexOf(tests.standard.text);
+    const hit = new TextPositionFinder(dh.content, {
+      start,
+      end: start + tests.standard.text.length,
+    }).next();
+    expect(hit).not.toBeNull();
+    expect((hit: any).toString()).toBe(tests.standard.text);
+  });
+
+  it('round-trips text range positions', () => {
+    const dh = instance.init();
+    const group = dh.create('test');
+    dh.query('the', hit => {
+      group.highlight(hit);
+    });
+    expect(group.highlights.size).toBe(counts.the);
+
+    group.forEach(hl => {
+      const position = hl.range.computePosition();
+      expect(position.end - position.start).toBe(hl.range.toString().length);
+      dh.query(position, hit => {
+        expect(hit.computePosition()).toEqual(position);
+        expect(hit.toString()).toBe(hl.range.toString());
+      });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+// @flow
+
+import TextQuoteFinder from '../src/TextQuoteFinder';
+import createFinder from '../src/createFinder';
+
+import { instance, tests, counts } from './helpers';
+
+describe('TextQuoteFinder', function() {
+  it('is created for text quote queries', () => {
+    const dh = instance.init();
+    expect(createFinder(dh.content, { exact: 'Viber' })).toBeInstanceOf(TextQuoteFinder);
+  });
+
+  it('throws exception if exact text empty', () => {
+    const dh = instance.init();
+    expect(() => new TextQuoteFinder(dh.content, { exact: '' })).toThrow();
+  });
+
+  it('finds nothing when exact text does not exist', () => {
+    const dh = instance.init();
+    expect(new TextQuoteFinder(dh.content, { exact: 'nonexistent phrase' }).next()).toBeNull();
+  });
+
+  it('finds exact text', () => {
+    const dh = instance.init();
+    const hit = new TextQuoteFinder(dh.content, { exact: tests.standard.text }).next();
+    expect(hit).not.toBeNull();
+    expect((hit: any).toString()).toBe(tests.standard.text);
+  });
+
+  it('uses context to pick the right occurrence', () => {
+    const dh = instance.init();
+    const hits = [];
+    dh.query('the', hit => {
+      hits.push(hit);
+    });
+    expect(hits.length).toBe(counts.the);
+
+    hits.forEach(hit => {
+      const quote = hit.computeQuote();
+      const found = new TextQuoteFinder(dh.content, quote).next();
+      expect(found).not.toBeNull();
+      expect((found: any).getAbsoluteStartOffset()).toBe(hit.getAbsoluteStartOffset());
+      expect((found: any).toString()).toBe(quote.exact);
+    });
+  });
+
+  it('matches context longer than the text around occurrences', () => {
+    const dh = instance.init();
+    const { text } = dh.content;
+    const quote = {
+      exact: text.substr(0, 5),
+      prefix: 'text that precedes the document',
+      suffix: text.substr(5) + ' text that follows the document',
+    };
+    const found = new TextQuoteFinder(dh.content, quote).next();
+    expect((found: any).getAbsoluteStartOffset()).toBe(0);
+  });
+
+  it('survives layout changes that invalidate XPath representations', () => {
+    const dh = instance.init();
+    let quote;
+    dh.query(tests.standard.xpath, hit => {
+      quote = hit.computeQuote();
+    });
+    if (quote == null) throw new Error('null quote');
+
+    // Wrap the page contents in a new element, as a publisher redesigning the page would.
+    const body: any = document.body;
+    const wrapper = document.createElement('div');
+    while (body.firstChild != null) wrapper.appendChild(body.firstChild);
+    body.appendChild(wrapper);
+    dh.refresh();
+
+    expect(() => dh.query(tests.standard.xpath, () => {})).toThrow();
+    const group = dh.create('test');
+    dh.query((quote: any), hit => {
+      group.highlight(hit);
+    });
+    expect(group.highlights.size).toBe(1);
+    group.forEach(hl => expect(hl.range.toString()).toBe(tests.standard.text));
+  });
+});
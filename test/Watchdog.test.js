@@ -0,0 +1,124 @@
+// @flow
+
+import { instance, attest, tests } from './helpers';
+
+describe('Watchdog', function() {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Replaces the paragraph containing the standard range with a pristine copy, as a framework
+  // re-rendering it would.
+  function init(options?: Object) {
+    const dh = instance.init(0, { container: document.body, watchdog: true, ...options });
+    const html = (document.querySelector('p:nth-of-type(3)'): any).outerHTML;
+    const group = dh.create('test');
+    dh.query(tests.standard.xpath, hit => {
+      group.highlight(hit);
+    });
+
+    const rerender = () => {
+      const p: any = document.querySelector('p:nth-of-type(3)');
+      const template = document.createElement('template');
+      template.innerHTML = html;
+      p.replaceWith(template.content);
+    };
+
+    return { dh, group, rerender };
+  }
+
+  it('renders highlight anew when its elements are removed', () => {
+    const { dh, group, rerender } = init();
+    const [hl] = Array.from(group.highlights.values());
+    const rerendered = [];
+    dh.on('rerender', h => rerendered.push(h));
+
+    rerender();
+    expect(hl.isDetached(dh.container)).toBe(true);
+    attest.totalHighlightsInDOM(0, 0);
+
+    expect((dh.watchdog: any).check()).toBe(1);
+    expect(rerendered).toEqual([hl]);
+    expect(hl.isDetached(dh.container)).toBe(false);
+    expect(hl.range.toString()).toBe(tests.standard.text);
+    attest.totalHighlightsInDOM(1, 1);
+  });
+
+  it('keeps the ranges of intact highlights without rendering them anew', () => {
+    const { dh, group } = init();
+    const [hl] = Array.from(group.highlights.values());
+    let intact = null;
+    dh.query(
+      {
+        start: { xpath: '/p[4]/text()[1]', offset: 0 },
+        end: { xpath: '/p[4]/text()[1]', offset: 15 },
+      },
+      hit => {
+        intact = group.highlight(hit);
+      }
+    );
+    if (intact == null) throw new Error('null highlight');
+    const { range, elements } = intact;
+    const rerendered = [];
+    dh.on('rerender', h => rerendered.push(h));
+
+    // Re-render the paragraph with text prepended, shifting the text of those that follow.
+    const p: any = document.querySelector('p:nth-of-type(3)');
+    const copy = p.cloneNode(true);
+    copy.querySelectorAll('[data-dh-highlight]').forEach(el => el.replaceWith(...el.childNodes));
+    copy.insertBefore(document.createTextNode('Update: '), copy.firstChild);
+    p.replaceWith(copy);
+
+    expect((dh.watchdog: any).check()).toBe(1);
+    expect(rerendered).toEqual([hl]);
+    expect(hl.range.toString()).toBe(tests.standard.text);
+    expect(intact.range).toBe(range);
+    expect(intact.elements).toEqual(elements);
+    expect(range.toString()).toBe('The company did');
+    expect(dh.content.markers).toContain(range.start.marker);
+  });
+
+  it('checks highlights shortly after nodes are removed', () => {
+    const { dh, group, rerender } = init({ live: true });
+    const [hl] = Array.from(group.highlights.values());
+
+    rerender();
+    return Promise.resolve().then(() => {
+      jest.runAllTimers();
+      expect(hl.isDetached(dh.container)).toBe(false);
+      expect(hl.elements.map(el => el.textContent).join('')).toBe(tests.standard.text);
+    });
+  });
+
+  it('orphans highlight that cannot be anchored anew', () => {
+    const { dh, group } = init();
+    const [hl] = Array.from(group.highlights.values());
+    const orphans = [];
+    dh.on('orphan', orphan => orphans.push(orphan));
+
+    (document.querySelector('p:nth-of-type(3)'): any).remove();
+    (dh.watchdog: any).check();
+
+    expect(group.has(hl.id)).toBe(false);
+    expect(orphans.length).toBe(1);
+    expect(orphans[0].json.text).toBe(tests.standard.text);
+    expect(group.toJSON().highlights[0].id).toBe(hl.id);
+  });
+
+  it('stops watching when disabled', () => {
+    const { dh, group, rerender } = init();
+    const [hl] = Array.from(group.highlights.values());
+    dh.setWatchdog(false);
+    expect(dh.watchdog).toBe(null);
+
+    rerender();
+    return Promise.resolve().then(() => {
+      jest.runAllTimers();
+      expect(hl.isDetached(dh.container)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+// @flow
+
+import XPathFinder from '../src/XPathFinder';
+import { hashText } from '../src/util';
+
+import { instance, tests } from './helpers';
+
+describe('XPathFinder', function() {
+  // Wraps the first paragraph in a new element, thus invalidating XPath ranges into it.
+  function wrapParagraph(dh, selector: string) {
+    const p: any = document.querySelector(selector);
+    const div = document.createElement('div');
+    p.parentNode.insertBefore(div, p);
+    div.appendChild(p);
+    dh.refresh();
+  }
+
+  // Prepends text to the text node the standard range starts in, so the range still resolves but to
+  // text shifted from that expected.
+  function shiftText(dh) {
+    const a: any = document.querySelector('p:nth-of-type(3) > a');
+    a.firstChild.nodeValue = 'ABC' + a.firstChild.nodeValue;
+    dh.refresh();
+  }
+
+  it('resolves XPath range exactly', () => {
+    const dh = instance.init();
+    const hit = new XPathFinder(dh.content, tests.standard.xpath).next();
+    expect((hit: any).toString()).toBe(tests.standard.text);
+    expect((hit: any).confidence).toBe(1);
+  });
+
+  it('throws exception when range does not resolve and no fallback', () => {
+    const dh = instance.init();
+    wrapParagraph(dh, 'p:nth-of-type(3)');
+    expect(() => new XPathFinder(dh.content, tests.standard.xpath)).toThrow();
+  });
+
+  it('throws exception when an offset overflows its text node', () => {
+    const dh = instance.init();
+    const { start, end } = tests.standard.xpath;
+    const overflow = offset => {
+      try {
+        new XPathFinder(dh.content, { start: { ...start, offset }, end });
+      } catch (x) {
+        return x.reason;
+      }
+      return null;
+    };
+
+    expect(overflow(500)).toBe('offset-overflow');
+    expect(overflow(0)).toBe(null);
+    expect(() =>
+      new XPathFinder(dh.content, { start, end: { ...end, offset: 5000 } })
+    ).toThrow('end offset overflow');
+  });
+
+  it('falls back to text when range does not resolve', () => {
+    const dh = instance.init();
+    const offset = dh.content.text.indexOf(tests.standard.text);
+    wrapParagraph(dh, 'p:nth-of-type(3)');
+
+    const hit = new XPathFinder(dh.content, tests.standard.xpath, {
+      fuzzy: { text: tests.standard.text, offset },
+    }).next();
+    expect((hit: any).toString()).toBe(tests.standard.text);
+    expect((hit: any).confidence).toBe(1);
+  });
+
+  it('approximately matches edited text', () => {
+    const dh = instance.init();
+    wrapParagraph(dh, 'p:nth-of-type(3)');
+    const text = tests.standard.text.replace('clarified', 'clarifed').replace('two', '2');
+
+    const hit = new XPathFinder(dh.content, tests.standard.xpath, {
+      fuzzy: { text, maxErrors: 5 },
+    }).next();
+    expect((hit: any).toString()).toBe(tests.standard.text);
+    expect((hit: any).confidence).toBeCloseTo(1 - 4 / text.length);
+  });
+
+  it('throws exception when edit-distance budget exceeded', () => {
+    const dh = instance.init();
+    wrapParagraph(dh, 'p:nth-of-type(3)');
+    const text = tests.standard.text.replace('clarified', 'clarifed').replace('two', '2');
+
+    expect(
+      () =>
+        new XPathFinder(dh.content, tests.standard.xpath, {
+          fuzzy: { text, maxErrors: 3 },
+        })
+    ).toThrow();
+  });
+
+  it('falls back to text through DonHighlights.query', () => {
+    const dh = instance.init();
+    wrapParagraph(dh, 'p:nth-of-type(3)');
+    const group = dh.create('test');
+    dh.query((tests.standard.xpath: any), hit => group.highlight(hit), {
+      fuzzy: { text: tests.standard.text },
+    });
+    expect(group.highlights.size).toBe(1);
+  });
+
+  it('verifies text of range', () => {
+    const dh = instance.init();
+    const text = tests.standard.text;
+    for (const verify of [{ text }, { hash: hashText(text) }]) {
+      const hit = new XPathFinder(dh.content, tests.standard.xpath, { verify }).next();
+      expect((hit: any).toString()).toBe(text);
+      expect((hit: any).drifted).toBe(false);
+    }
+  });
+
+  it('rejects range when text changed', () => {
+    const dh = instance.init();
+    shiftText(dh);
+    for (const verify of [{ text: tests.standard.text }, { hash: hashText(tests.standard.text) }]) {
+      expect(() => new XPathFinder(dh.content, tests.standard.xpath, { verify })).toThrow(
+        expect.objectContaining({ reason: 'text-mismatch' })
+      );
+    }
+  });
+
+  it('flags range as drifted when text changed', () => {
+    const dh = instance.init();
+    shiftText(dh);
+    const hit = new XPathFinder(dh.content, tests.standard.xpath, {
+      verify: { text: tests.standard.text, mode: 'flag' },
+    }).next();
+    expect((hit: any).drifted).toBe(true);
+    expect((hit: any).toString()).not.toBe(tests.standard.text);
+  });
+
+  it('searches for text near range when text changed', () => {
+    const dh = instance.init();
+    shiftText(dh);
+    const hit = new XPathFinder(dh.content, tests.standard.xpath, {
+      verify: { text: tests.standard.text, mode: 'search' },
+    }).next();
+    expect((hit: any).toString()).toBe(tests.standard.text);
+    expect((hit: any).confidence).toBe(1);
+    expect((hit: any).drifted).toBe(true);
+
+    // Searching is not possible without the text itself.
+    expect(
+      () =>
+        new XPathFinder(dh.content, tests.standard.xpath, {
+          verify: { hash: hashText(tests.standard.text), mode: 'search' },
+        })
+    ).toThrow(expect.objectContaining({ reason: 'text-mismatch' }));
+  });
+});
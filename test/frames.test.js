@@ -0,0 +1,96 @@
+// @flow
+
+import * as dom from '../src/dom';
+
+import { instance } from './helpers';
+
+describe('frames', function() {
+  const STYLES = '.dh-highlight { background: yellow; }';
+
+  // Appends a same-origin iframe to the document, followed by a paragraph.
+  function init(options?: Object) {
+    instance.init();
+    const iframe: any = document.createElement('iframe');
+    iframe.appendChild(document.createTextNode('Fallback content'));
+    (document.body: any).appendChild(iframe);
+    const doc = iframe.contentDocument;
+    doc.body.innerHTML = '<p>Framed text about <b>Viber</b> messaging</p>';
+    const after = document.createElement('p');
+    after.textContent = 'Text after the frame';
+    (document.body: any).appendChild(after);
+
+    const dh = instance.create({ container: (document.body: any), ...options });
+    return { dh, iframe, doc };
+  }
+
+  function queryFirst(dh, query) {
+    let hit = null;
+    dh.query(query, h => {
+      hit = h;
+      return false;
+    });
+    return hit;
+  }
+
+  it('does not descend into frames by default', () => {
+    const { dh } = init();
+    expect(dh.content.text).not.toContain('Framed text');
+    expect(queryFirst(dh, 'Framed text')).toBe(null);
+  });
+
+  it('visits frame documents in place of their frame elements', () => {
+    const { dh } = init({ frames: true });
+    const text = dh.content.text;
+    expect(text).toContain('Framed text about Viber messaging');
+    expect(text.indexOf('Framed text')).toBeLessThan(text.indexOf('Text after'));
+    dh.content.assert();
+  });
+
+  it('highlights text inside frames', () => {
+    const { dh, doc } = init({ frames: true, frameStyles: STYLES });
+    const group = dh.create('test');
+    const hl = group.highlight((queryFirst(dh, 'text about Viber mess'): any));
+    group.highlight((queryFirst(dh, 'Framed'): any));
+
+    expect(hl.elements.length).toBe(3);
+    expect(hl.elements.every(el => el.ownerDocument === doc)).toBe(true);
+    expect(hl.isDetached(dh.container)).toBe(false);
+    expect(doc.body.querySelectorAll('.dh-highlight').length).toBe(4);
+    expect(doc.head.querySelectorAll('style[data-dh-styles]').length).toBe(1);
+    expect(doc.head.querySelector('style').textContent).toBe(STYLES);
+  });
+
+  it('highlights ranges spanning frame boundaries', () => {
+    const { dh, doc } = init({ frames: true });
+    const hl = dh.create('test').highlight((queryFirst(dh, 'messaging Text'): any));
+    const last = hl.elements[hl.elements.length - 1];
+    expect(hl.elements[0].ownerDocument).toBe(doc);
+    expect(last.ownerDocument).toBe(document);
+    expect(last.textContent).toBe('Text');
+  });
+
+  it('resolves XPath ranges across frame boundaries', () => {
+    let { dh } = init({ frames: true });
+    const group = dh.create('test');
+    const hl = group.highlight((queryFirst(dh, 'about Viber'): any));
+    const xpath = hl.range.computeXPath();
+    expect(xpath.start.xpath).toBe('/iframe[1]/#document/p[1]/text()[1]');
+    expect(xpath.end.xpath).toBe('/iframe[1]/#document/p[1]/b[1]/text()[1]');
+
+    ({ dh } = init({ frames: true }));
+    const hit: any = queryFirst(dh, xpath);
+    expect(hit.toString()).toBe('about Viber');
+  });
+
+  it('scrolls frames hosting highlights into view', () => {
+    const { dh, iframe } = init({ frames: true });
+    const hl = dh.create('test').highlight((queryFirst(dh, 'about Viber'): any));
+    const scrolled = [];
+    const target = hl.elements[0];
+    (target: any).scrollIntoView = () => scrolled.push(target);
+    iframe.scrollIntoView = () => scrolled.push(iframe);
+
+    dom.scrollIntoView(hl.elements[0]);
+    expect(scrolled).toEqual([target, iframe]);
+  });
+});
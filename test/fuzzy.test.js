@@ -0,0 +1,49 @@
+// @flow
+
+import {
+  approximateSearch,
+  approximateSearchAround,
+  approximateSearchNear,
+  defaultMaxErrors,
+} from '../src/fuzzy';
+
+describe('fuzzy', function() {
+  const text = 'the quick brown fox jumps over the lazy dog';
+
+  it('finds exact match with no errors', () => {
+    expect(approximateSearch(text, 'brown fox', 2)).toEqual({ start: 10, end: 19, errors: 0 });
+  });
+
+  it('finds approximate match within budget', () => {
+    expect(approximateSearch(text, 'brwn fax', 2)).toEqual({ start: 10, end: 19, errors: 2 });
+    expect(approximateSearch(text, 'quick browny fox', 2)).toEqual({
+      start: 4,
+      end: 19,
+      errors: 1,
+    });
+  });
+
+  it('finds nothing when budget exceeded', () => {
+    expect(approximateSearch(text, 'brwn fax', 1)).toBeNull();
+    expect(approximateSearch(text, '', 1)).toBeNull();
+  });
+
+  it('prefers match closest to expected offset', () => {
+    expect(approximateSearch(text, 'the', 0)).toEqual({ start: 0, end: 3, errors: 0 });
+    expect(approximateSearch(text, 'the', 0, 30)).toEqual({ start: 31, end: 34, errors: 0 });
+    expect(approximateSearchNear(text, 'the', 0, 30)).toEqual({ start: 31, end: 34, errors: 0 });
+  });
+
+  it('searches whole text when nothing found near expected offset', () => {
+    expect(approximateSearchNear(text, 'quick', 0, 40)).toEqual({ start: 4, end: 9, errors: 0 });
+  });
+
+  it('searches only around expected offset', () => {
+    expect(approximateSearchAround(text, 'quick', 0, 40)).toBeNull();
+    expect(approximateSearchAround(text, 'lazy', 0, 37)).toEqual({ start: 35, end: 39, errors: 0 });
+  });
+
+  it('computes default budget', () => {
+    expect(defaultMaxErrors('0123456789')).toBe(2);
+  });
+});
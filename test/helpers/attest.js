@@ -15,11 +15,11 @@ export function totalHighlightsInDOM(hc: number, gc: number = 1): void {
     try {
       // $FlowFixMe: expecting failure
       const gid = el.className.match(/dh-highlight-group-(\w+)/)[1];
-      const hid = el.dataset.dhHighlightId;
+      const hids = el.dataset.dhHighlightId.split(' ');
       expect(gid).toBeTruthy();
-      expect(hid).toBeTruthy();
+      expect(hids[0]).toBeTruthy();
       groups.add(gid);
-      highlights.add(hid);
+      hids.forEach(hid => highlights.add(hid));
     } catch (x) {
       // nop
     }
@@ -8,6 +8,7 @@ import { documents } from './tests';
 // Test-wide global attributes
 let container;
 let instance;
+let instances: Array<DonHighlights> = [];
 
 export function assertJsDOM() {
   // Ensure window and document exist in jsdom environment
@@ -18,16 +19,31 @@ export function assertJsDOM() {
 
 export function init(ndx: number = 0, options?: Object): DonHighlights {
   assertJsDOM();
+  // Instances left observing the document would otherwise react to the content of later tests.
+  dispose();
 
   const data = documents[ndx || 0];
   expect(data).toBeTruthy();
   (document.body: any).innerHTML = data;
   container = document.body;
 
-  instance = createHighlighter(options);
+  instance = create(options);
   return instance;
 }
 
+// Creates a highlighter that is disposed of along with the test instance.
+export function create(options?: Object): DonHighlights {
+  const dh = createHighlighter(options);
+  instances.push(dh);
+  return dh;
+}
+
+export function dispose(): void {
+  instances.forEach(dh => dh.dispose());
+  instances = [];
+  instance = null;
+}
+
 export function querySelector(selector: string): ?HTMLElement {
   return getContainer().querySelector(selector);
 }
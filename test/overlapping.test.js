@@ -0,0 +1,97 @@
+// @flow
+
+import { getSelectorForHighlightId } from '../src';
+
+import { instance, tests } from './helpers';
+
+describe('overlapping highlights', function() {
+  // Renders the overlapping test highlights, the first two in group `a` and the last in group `b`,
+  // returning them along with the text each was created over.
+  function init() {
+    const dh = instance.init(0, { container: document.body });
+    const groups = [dh.create('a'), dh.create('b')];
+    const highlights = [];
+    const texts = [];
+    tests.overlapping.queries.forEach((q, i) =>
+      dh.query(q, hit => {
+        texts.push(hit.toString());
+        highlights.push(groups[i < 2 ? 0 : 1].highlight(hit));
+      })
+    );
+
+    return { dh, highlights, texts };
+  }
+
+  function textOf(hl): string {
+    return hl.elements.map(el => el.textContent).join('');
+  }
+
+  it('renders segments without nesting highlight elements', () => {
+    const { highlights, texts } = init();
+    expect(document.querySelectorAll('.dh-highlight .dh-highlight').length).toBe(0);
+    highlights.forEach((hl, i) => expect(textOf(hl)).toBe(texts[i]));
+
+    const [first, second, third] = highlights;
+    const ids = Array.from(
+      document.querySelectorAll('.dh-highlight'),
+      (el: any) => el.dataset.dhHighlightId
+    );
+    expect(ids).toEqual([
+      third.id,
+      `${first.id} ${third.id}`,
+      first.id,
+      `${first.id} ${second.id}`,
+      second.id,
+    ]);
+  });
+
+  it('keeps the ranges of highlights whose segments are split up to date', () => {
+    const { highlights, texts } = init();
+    highlights.forEach((hl, i) => {
+      expect(hl.range.toString()).toBe(texts[i]);
+      expect(hl.toJSON().text).toBe(texts[i]);
+    });
+  });
+
+  it('styles combinations of groups the same regardless of order', () => {
+    const { highlights } = init();
+    const [first, , third] = highlights;
+    const shared: any = document.querySelector(getSelectorForHighlightId(third.id) + '+ *');
+    expect(shared.dataset.dhHighlightId).toBe(`${first.id} ${third.id}`);
+    expect(shared.dataset.dhGroups).toBe('a b');
+    expect(shared.classList.contains('dh-highlight-overlap')).toBe(true);
+    expect(document.querySelectorAll(getSelectorForHighlightId(first.id)).length).toBe(3);
+
+    third.group.disable();
+    expect(shared.dataset.dhGroups).toBe('a');
+    expect(shared.classList.contains('dh-highlight-overlap')).toBe(false);
+    expect(shared.classList.contains('dh-disabled')).toBe(false);
+    expect((third.elements[0]: any).classList.contains('dh-disabled')).toBe(true);
+  });
+
+  it('leaves other highlights intact when removing one', () => {
+    const { highlights, texts } = init();
+    const [first, second, third] = highlights;
+    first.group.unhighlight(first.id);
+
+    expect(second.elements.every(el => el.parentNode != null)).toBe(true);
+    expect(third.elements.every(el => el.parentNode != null)).toBe(true);
+    expect(textOf(second)).toBe(texts[1]);
+    expect(textOf(third)).toBe(texts[2]);
+    expect(Array.from(document.querySelectorAll('.dh-highlight'), el => el.textContent)).toEqual([
+      ...third.elements.map(el => el.textContent),
+      ...second.elements.map(el => el.textContent),
+    ]);
+  });
+
+  it('merges segments left covered by the same highlights', () => {
+    const { highlights, texts } = init();
+    const [first, second, third] = highlights;
+    second.group.unhighlight(second.id);
+    third.group.unhighlight(third.id);
+
+    expect(first.elements.length).toBe(1);
+    expect(first.elements[0].textContent).toBe(texts[0]);
+    expect(first.elements[0].dataset.dhHighlightId).toBe(first.id);
+  });
+});
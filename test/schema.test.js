@@ -0,0 +1,104 @@
+// @flow
+
+import {
+  SCHEMA_VERSION,
+  registerMigration,
+  migrate,
+  migrateUnversionedHighlight,
+  parseHighlight,
+  parseSnapshot,
+} from '../src/schema';
+
+import { instance, attest, tests } from './helpers';
+
+describe('schema', function() {
+  const legacy = { id: 'legacy', range: tests.standard.xpath, state: null };
+
+  it('tags serialized groups and highlights with version', () => {
+    const dh = instance.init();
+    const group = dh.create('test');
+    dh.query(tests.standard.xpath, hit => {
+      group.highlight(hit);
+    });
+
+    const snapshot = dh.serialize();
+    expect(snapshot.groups[0].version).toBe(SCHEMA_VERSION);
+    expect(snapshot.groups[0].highlights[0].version).toBe(SCHEMA_VERSION);
+    expect(parseSnapshot(snapshot)).toEqual(snapshot);
+  });
+
+  it('migrates unversioned payloads', () => {
+    const migrated = parseHighlight(tests.standard.xpath);
+    expect(migrated).toEqual({
+      id: expect.any(String),
+      range: tests.standard.xpath,
+      state: undefined,
+      version: SCHEMA_VERSION,
+    });
+    expect(parseHighlight(tests.standard.xpath).id).toBe(migrated.id);
+    const { start, end } = tests.standard.xpath;
+    expect(parseHighlight({ start, end: { ...end, offset: 10 } }).id).not.toBe(migrated.id);
+
+    const dh = instance.init();
+    const results = dh.restore({
+      groups: [{ name: 'legacy', enabled: true, highlights: [tests.standard.xpath] }],
+    });
+    expect(results.length).toBe(1);
+    expect(results[0].error).toBe(null);
+    expect(results[0].highlight).not.toBe(null);
+    attest.totalHighlightsInDOM(1, 1);
+  });
+
+  it('applies registered migrations in order', () => {
+    registerMigration('highlight', 1, json => ({ ...json, state: 'migrated' }));
+    try {
+      expect(migrate('highlight', legacy).state).toBe('migrated');
+    } finally {
+      registerMigration('highlight', 1, migrateUnversionedHighlight);
+    }
+
+    expect(migrate('highlight', legacy).state).toBe(null);
+  });
+
+  it('rejects invalid migrations', () => {
+    expect(() => registerMigration(('snapshot': any), 1, json => json)).toThrow(/kind/);
+    expect(() => registerMigration('highlight', SCHEMA_VERSION, json => json)).toThrow(/version/);
+  });
+
+  it('rejects newer versions', () => {
+    expect(() => parseHighlight({ ...legacy, version: SCHEMA_VERSION + 1 })).toThrow(
+      /newer than supported/
+    );
+    expect(() => parseHighlight({ ...legacy, version: '2' })).toThrow(/version/);
+  });
+
+  it('rejects malformed payloads with descriptive errors', () => {
+    expect(() => parseSnapshot(null)).toThrow('Invalid payload at $: expected object');
+    expect(() => parseSnapshot({})).toThrow('Invalid payload at $.groups: expected array');
+    expect(() => parseSnapshot({ groups: [{ name: 'test', highlights: [] }] })).toThrow(
+      'Invalid payload at $.groups[0].enabled: expected boolean'
+    );
+    expect(() =>
+      parseSnapshot({
+        groups: [
+          {
+            name: 'test',
+            enabled: true,
+            highlights: [legacy, { ...legacy, range: { ...legacy.range, end: { xpath: '/p' } } }],
+          },
+        ],
+      })
+    ).toThrow('Invalid payload at $.groups[0].highlights[1].range.end.offset');
+    expect(() => parseHighlight({ ...legacy, id: 42 })).toThrow(
+      'Invalid payload at $.id: expected non-empty string'
+    );
+  });
+
+  it('rejects malformed snapshot when restoring', () => {
+    const dh = instance.init();
+    expect(() => dh.restore({ groups: [{ name: 'test', enabled: true }] })).toThrow(
+      'Invalid payload at $.groups[0].highlights: expected array'
+    );
+    expect(dh.has('test')).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+// @flow
+
+import { instance } from './helpers';
+
+describe('shadow DOM', function() {
+  const STYLES = '.dh-highlight { background: yellow; }';
+
+  // Appends a custom element hosting an open shadow root to the document.
+  function init(options?: Object) {
+    instance.init();
+    const host = document.createElement('my-widget');
+    host.appendChild(document.createTextNode('Light content'));
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = '<p>Shadow text about <b>Viber</b> messaging</p><slot></slot>';
+    (document.body: any).appendChild(host);
+
+    const dh = instance.create({ container: (document.body: any), ...options });
+    return { dh, host, root };
+  }
+
+  function queryFirst(dh, query) {
+    let hit = null;
+    dh.query(query, h => {
+      hit = h;
+      return false;
+    });
+    return hit;
+  }
+
+  it('does not descend into shadow roots by default', () => {
+    const { dh } = init();
+    expect(dh.content.text).not.toContain('Shadow text');
+    expect(queryFirst(dh, 'Shadow text')).toBe(null);
+  });
+
+  it('visits shadow roots before light DOM children', () => {
+    const { dh } = init({ shadow: true });
+    const text = dh.content.text;
+    expect(text).toContain('Shadow text about Viber messaging');
+    expect(text.indexOf('Shadow text')).toBeLessThan(text.indexOf('Light content'));
+    dh.content.assert();
+  });
+
+  it('highlights text inside shadow roots', () => {
+    const { dh, root } = init({ shadow: true, shadowStyles: STYLES });
+    const group = dh.create('test');
+    const hl = group.highlight((queryFirst(dh, 'text about Viber mess'): any));
+    group.highlight((queryFirst(dh, 'Shadow'): any));
+
+    expect(hl.elements.length).toBe(3);
+    expect(hl.elements.every(el => el.getRootNode() === root)).toBe(true);
+    expect(hl.isDetached(dh.container)).toBe(false);
+    expect(root.querySelectorAll('.dh-highlight').length).toBe(4);
+    expect(root.querySelectorAll('style[data-dh-styles]').length).toBe(1);
+    expect((root.querySelector('style'): any).textContent).toBe(STYLES);
+  });
+
+  it('resolves XPath ranges across shadow boundaries', () => {
+    let { dh } = init({ shadow: true });
+    const group = dh.create('test');
+    const hl = group.highlight((queryFirst(dh, 'about Viber'): any));
+    const xpath = hl.range.computeXPath();
+    expect(xpath.start.xpath).toBe('/my-widget[1]/#shadow-root/p[1]/text()[1]');
+    expect(xpath.end.xpath).toBe('/my-widget[1]/#shadow-root/p[1]/b[1]/text()[1]');
+
+    ({ dh } = init({ shadow: true }));
+    const hit: any = queryFirst(dh, xpath);
+    expect(hit.toString()).toBe('about Viber');
+  });
+});
@@ -0,0 +1,74 @@
+// @flow
+
+import { getSelectorForHighlightId } from '../src';
+
+import { instance, tests } from './helpers';
+
+describe('highlight element signature', function() {
+  // Highlights the text of the standard range, which is unique in the document.  Text queries are
+  // used since XPath queries are not resolved across the elements of other instances.
+  function highlight(dh) {
+    const group = dh.create('test');
+    let hl = null;
+    dh.query(tests.standard.text, hit => {
+      hl = group.highlight(hit);
+    });
+    return (hl: any);
+  }
+
+  it('stamps highlight elements with a signature unique to the instance', () => {
+    const dh = instance.init(0, { container: document.body });
+    const other = instance.create({ container: (document.body: any) });
+    expect(dh.signature).not.toBe(other.signature);
+
+    const hl = highlight(dh);
+    expect(hl.elements.length).toBeGreaterThan(0);
+    expect(hl.elements.every(el => el.dataset.dhHighlight === dh.signature)).toBe(true);
+  });
+
+  it('generates signatures independently of the identifier generator', () => {
+    const idGenerator = { generate: () => 'id' };
+    const dh = instance.init(0, { container: document.body, idGenerator });
+    const other = instance.create({ container: (document.body: any), idGenerator });
+    expect(dh.signature).not.toBe(other.signature);
+    expect(highlight(dh).id).toBe('id');
+  });
+
+  it('ignores elements carrying the attribute without the signature', () => {
+    const dh = instance.init(0, { container: document.body });
+    const a: any = document.querySelector('body > p:nth-of-type(3) > a');
+    const span = document.createElement('span');
+    span.dataset.dhHighlight = 'true';
+    a.parentNode.insertBefore(span, a);
+    span.appendChild(a);
+    dh.refresh();
+
+    expect(highlight(dh).range.computeXPath().start.xpath).toBe('/p[3]/span[1]/a[1]/text()[1]');
+  });
+
+  it('treats highlight elements of other instances as content', () => {
+    const other = instance.init(0, { container: document.body });
+    const theirs = highlight(other);
+    expect(theirs.range.computeXPath().start.xpath).toBe('/p[3]/a[1]/text()[1]');
+
+    const dh = instance.create({ container: (document.body: any) });
+    const ours = highlight(dh);
+    expect(ours.range.toString()).toBe(tests.standard.text);
+    expect(ours.range.computeXPath().start.xpath).toBe('/p[3]/a[1]/span[1]/text()[1]');
+  });
+
+  it('scopes highlight selectors to the instance', () => {
+    const dh = instance.init(0, { container: document.body });
+    const other = instance.create({ container: (document.body: any) });
+    const hl = highlight(dh);
+    const elements = Array.from(document.querySelectorAll(getSelectorForHighlightId(hl.id)));
+
+    expect(elements).toEqual(hl.elements);
+    expect(document.querySelectorAll(getSelectorForHighlightId(hl.id, dh.signature)).length).toBe(
+      elements.length
+    );
+    expect(
+      document.querySelectorAll(getSelectorForHighlightId(hl.id, other.signature)).length
+    ).toBe(0);
+  });
+});
@@ -0,0 +1,125 @@
+// @flow
+
+import { exportAnnotation, importAnnotation, ANNOTATION_CONTEXT } from '../src/webAnnotation';
+
+import { instance, attest, tests } from './helpers';
+
+describe('Web Annotation', function() {
+  function highlightStandard(dh, state) {
+    const group = dh.create('yellow');
+    let hl;
+    dh.query(tests.standard.xpath, hit => {
+      hl = group.highlight(hit);
+      hl.setState(state);
+    });
+    if (hl == null) throw new Error('null highlight');
+    return hl;
+  }
+
+  it('exports highlight as annotation', () => {
+    const dh = instance.init();
+    const hl = highlightStandard(dh, { note: 'important' });
+    const annotation = exportAnnotation(hl, 'https://example.com/viber');
+
+    expect(annotation['@context']).toBe(ANNOTATION_CONTEXT);
+    expect(annotation.type).toBe('Annotation');
+    expect(annotation.target.source).toBe('https://example.com/viber');
+    expect(annotation.body).toEqual([
+      { type: 'TextualBody', purpose: 'tagging', value: 'yellow' },
+      {
+        type: 'TextualBody',
+        purpose: 'describing',
+        format: 'application/json',
+        value: JSON.stringify({ note: 'important' }),
+      },
+    ]);
+
+    const [range, position, quote] = (annotation.target.selector: any);
+    expect(range.type).toBe('RangeSelector');
+    expect(range.startSelector.value).toBe('/p[3]/a[1]/text()[1]');
+    expect(range.startSelector.refinedBy.start).toBe(tests.standard.xpath.start.offset);
+    expect(range.endSelector.value).toBe('/p[3]/text()[1]');
+    expect(range.endSelector.refinedBy.start).toBe(tests.standard.xpath.end.offset);
+    expect(position.type).toBe('TextPositionSelector');
+    expect(position.end - position.start).toBe(tests.standard.text.length);
+    expect(quote.type).toBe('TextQuoteSelector');
+    expect(quote.exact).toBe(tests.standard.text);
+  });
+
+  it('imports exported annotation', () => {
+    let dh = instance.init();
+    const annotation = JSON.parse(
+      JSON.stringify(exportAnnotation(highlightStandard(dh, { note: 'important' })))
+    );
+
+    dh = instance.init();
+    const hl = importAnnotation(dh, annotation);
+    expect(hl.group).toBe(dh.group('yellow'));
+    expect(annotation.id.endsWith(hl.id)).toBe(true);
+    expect(hl.getState()).toEqual({ note: 'important' });
+    expect(hl.range.toString()).toBe(tests.standard.text);
+    attest.totalHighlightsInDOM(1, 1);
+  });
+
+  it('falls back to text quote when range selector does not match', () => {
+    let dh = instance.init();
+    const annotation = JSON.parse(JSON.stringify(exportAnnotation(highlightStandard(dh))));
+    annotation.target.selector[0].startSelector.value = '/p[2]/text()[1]';
+    annotation.target.selector[0].endSelector.value = '/p[2]/text()[1]';
+
+    dh = instance.init();
+    const hl = importAnnotation(dh, annotation);
+    expect(hl.range.toString()).toBe(tests.standard.text);
+    expect(hl.getState()).toBeUndefined();
+  });
+
+  it('imports annotation from text position selector', () => {
+    let dh = instance.init();
+    const annotation = JSON.parse(JSON.stringify(exportAnnotation(highlightStandard(dh))));
+    annotation.target.selector = [annotation.target.selector[1]];
+
+    dh = instance.init();
+    const hl = importAnnotation(dh, annotation);
+    expect(hl.range.toString()).toBe(tests.standard.text);
+  });
+
+  it('imports annotation without tag into default group', () => {
+    const dh = instance.init();
+    const hl = importAnnotation(dh, {
+      '@context': ANNOTATION_CONTEXT,
+      id: 'https://example.com/annotations/1',
+      type: 'Annotation',
+      body: [],
+      target: { selector: { type: 'TextQuoteSelector', exact: tests.standard.text } },
+    });
+    expect(hl.group.name).toBe('annotations');
+    expect(hl.range.toString()).toBe(tests.standard.text);
+  });
+
+  it('throws exception when annotation cannot be anchored', () => {
+    const dh = instance.init();
+    expect(() =>
+      importAnnotation(dh, {
+        '@context': ANNOTATION_CONTEXT,
+        id: 'https://example.com/annotations/1',
+        type: 'Annotation',
+        body: [],
+        target: { selector: [{ type: 'TextQuoteSelector', exact: 'nonexistent phrase' }] },
+      })
+    ).toThrow();
+    expect(() => importAnnotation(dh, ({}: any))).toThrow();
+  });
+
+  it('reports text mismatch when range selector resolves to different text', () => {
+    let dh = instance.init();
+    const annotation = JSON.parse(JSON.stringify(exportAnnotation(highlightStandard(dh))));
+    const [range, , quote] = annotation.target.selector;
+    quote.exact = 'nonexistent phrase';
+    annotation.target.selector = [range, quote];
+
+    dh = instance.init();
+    expect(() => importAnnotation(dh, annotation)).toThrow(
+      expect.objectContaining({ name: 'AnchorError', reason: 'text-mismatch' })
+    );
+  });
+});